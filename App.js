@@ -1,13 +1,69 @@
-import React, {useEffect, useMemo, useReducer, useState} from 'react';
-import { SafeAreaView, View, Text, FlatList, ScrollView, TouchableOpacity, TextInput, Image, Alert, Platform } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, {useCallback, useContext, useEffect, useMemo, useReducer, useRef, useState} from 'react';
+import {
+  SafeAreaView, View, Text as RNText, FlatList, SectionList, ScrollView, TouchableOpacity, TextInput as RNTextInput, Image,
+  Alert, Platform, Modal, Share, Vibration, AppState, BackHandler, Linking, StatusBar, useColorScheme,
+} from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
+import QRCode from 'react-native-qrcode-svg';
+import { displayIngredient, parseIngredients, upgradeRecipe } from './src/ingredients';
+import { addManualItem, addRecipeToList, formatAmounts, groupByAisle } from './src/shopping';
+import {
+  MEAL_SLOTS, SLOT_LABELS, addDays, addWeekToShopping, copyWeek, dayCalories, flagDeletedRecipe, flagMissingRecipes,
+  formatDay, planMeal, setPlannedServings, startOfWeek, toISODate, unflagRestoredRecipe, unplanMeal, weekCalories, weekDates, weekToText,
+} from './src/mealPlan';
+import {
+  CALORIE_RANGES, DIFFICULTIES, EMPTY_FILTERS, PREP_LIMITS, SORTS, activeFilterCount, parseTerms, searchRecipes,
+} from './src/search';
+import { findDurations, formatClock } from './src/duration';
+import { getSteps, ingredientsInStep } from './src/steps';
+import { createWriter, loadState } from './src/storage';
+import { COLLISION_STRATEGIES, EXPORT_FORMATS, parseImport, resolveImport } from './src/importExport';
+import { fetchRecipeFromUrl } from './src/webImport';
+import {
+  TRASH_RETENTION_DAYS, daysUntilPurge, expiredIds, isTrashed, restoreRecipe, trashRecipe,
+} from './src/trash';
+import { parseDeepLink, resolveStack } from './src/navigation';
+import {
+  addPantryItem, daysUntilExpiry, formatPantryAmount, isExpiringSoon, rankByPantry, removePantryItem, setPantryExpiry, sortPantry,
+} from './src/pantry';
+import { NUTRIENTS, UNMATCHED_REASONS, estimateNutrition } from './src/nutrition';
+import {
+  ALLERGENS, ALLERGY_MODES, EMPTY_ALLERGY_PROFILE, allergenInfo, applyAllergyProfile, categoryConflict, classifyRecipe, unsafeAllergens,
+} from './src/diet';
+import {
+  ALL, DEFAULT_CATEGORIES, MY_FOOD, addCategory, categoryCounts, deleteCategory, findCategory, mergeCategories, moveCategory,
+  canonicalTags, renameCategory, toggleTag, validateCategoryName,
+} from './src/categories';
+import {
+  DEFAULT_COLLECTIONS, FAVORITES_ID, collectionsWithRecipe, coverFor, createCollection, deleteCollection, isBuiltIn, isFavorite,
+  moveInCollection, removeRecipes, renameCollection, setCollectionCover, toggleInCollection,
+} from './src/collections';
+import {
+  RATINGS, averageRating, cookStats, deleteLogEntry, entriesFor, forgetRecipes, formatStars, logCook, setRecipeNote,
+} from './src/cookLog';
+import {
+  cacheRecipeImage, deleteImagesOf, dropImageCache, imageCandidates, imagesInUse, imagesToCache, persistPickedImage,
+} from './src/images';
+import {
+  EMPTY_SYNC, SYNC_DELAY_MS, applySyncResult, conflictRecipe, disableSync, dismissConflict, enableSync, isSyncEnabled, normalizeServerUrl,
+  restoreVersions, syncNow, trackRecipeChanges,
+} from './src/sync';
+import { decodeSharePayload, encodeShareLink, recipeToText } from './src/share';
+import { diffRecipes, dropLatestRevision, dropRevisions, forkRecipe, recordRevision, revertTo, revisionsOf } from './src/revisions';
+import {
+  changeRecipe, createSelectors, dropRecipes, getRecipe, normalizeRecipes, putRecipes, selectLiveRecipes, selectLiveRecipesById,
+  selectRecipes, selectTrashedRecipes,
+} from './src/library';
+import { DEFAULT_THEME_MODE, THEMES, THEME_MODES, resolveTheme } from './src/theme';
+import {
+  FORM_SCHEMA, emptyForm, formFromRecipe, ingredientRow, isFormChanged, moveItem, recipeFromForm, timeLabel, validateForm,
+} from './src/recipeForm';
 
 /**
  * Foodie – a lightweight single-file React Native app designed to run on Expo/Expo Snack.
  * Features required by the brief:
  * - Horizontal categories bar with 10+ categories (includes "My Food").
- * - Scrollable main feed that filters by category.
+ * - Scrollable main feed that filters by category (user-defined; recipes can have several).
  * - Detailed recipe page with: Ingredients, Instructions, Prep time, Servings, Calories, Difficulty.
  * - Favorite toggle with a heart icon and Favorites section.
  * - "My Food" area with "Add New Recipe"; user can add, edit, delete, and view full details.
@@ -19,32 +75,12 @@ import * as ImagePicker from 'expo-image-picker';
 
 // ---- Types / Helpers -------------------------------------------------------
 const uuid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
-const storageKeys = {
-  recipes: 'foodie:recipes',
-  favorites: 'foodie:favorites',
-};
-
-const CATEGORIES = [
-  'My Food',
-  'Breakfast',
-  'Lunch',
-  'Dinner',
-  'Dessert',
-  'Snacks',
-  'Soups',
-  'Salads',
-  'Vegan',
-  'Vegetarian',
-  'Keto',
-  'Gluten-Free',
-  'Drinks',
-]; // 13 categories (>= 10 as required)
 
 const SAMPLE_RECIPES = [
   {
     id: uuid(),
     title: 'Avocado Toast',
-    category: 'Breakfast',
+    tags: ['Breakfast'],
     image:
       'https://images.unsplash.com/photo-1551183053-bf91a1d81141?q=80&w=1200&auto=format&fit=crop',
     ingredients: [
@@ -65,7 +101,7 @@ const SAMPLE_RECIPES = [
   {
     id: uuid(),
     title: 'Classic Caesar Salad',
-    category: 'Salads',
+    tags: ['Salads'],
     image:
       'https://images.unsplash.com/photo-1540420773420-3366772f4999?q=80&w=1200&auto=format&fit=crop',
     ingredients: [
@@ -86,7 +122,7 @@ const SAMPLE_RECIPES = [
   {
     id: uuid(),
     title: 'Spaghetti Bolognese',
-    category: 'Dinner',
+    tags: ['Dinner'],
     image:
       'https://images.unsplash.com/photo-1523986371872-9d3ba2e2f642?q=80&w=1200&auto=format&fit=crop',
     ingredients: [
@@ -104,474 +140,2835 @@ const SAMPLE_RECIPES = [
     difficulty: 'Medium',
     owner: 'sample',
   },
-];
+].map(upgradeRecipe);
 
 // ---- Store (Reducer + Persistence) ----------------------------------------
 const initialState = {
-  recipes: SAMPLE_RECIPES,
-  favorites: {}, // id => true
+  ...normalizeRecipes(SAMPLE_RECIPES), // recipesById + recipeIds, see src/library.js
+  collections: DEFAULT_COLLECTIONS, // { id, name, cover, recipeIds }, Favorites built in, see src/collections.js
+  shopping: [], // merged items, see src/shopping.js
+  mealPlan: [], // { id, date, slot, recipeId, servings }, see src/mealPlan.js
+  pantry: [], // { id, name, key, quantity, unit, expires }, see src/pantry.js
+  allergyProfile: EMPTY_ALLERGY_PROFILE, // { allergens: [key], mode: 'mark' | 'hide' }, see src/diet.js
+  categories: DEFAULT_CATEGORIES, // ordered names; recipes reference them in `tags`, see src/categories.js
+  cookLog: [], // { id, recipeId, date, rating, notes, photo }, see src/cookLog.js
+  recipeNotes: {}, // recipeId => personal notes, kept outside recipes so samples can have them
+  revisions: {}, // recipeId => [{ id, at, recipe }] earlier versions, see src/revisions.js
+  imageCache: {}, // recipeId => { source, file, thumbnail } local image copies, see src/images.js
+  sync: EMPTY_SYNC, // server, queue and conflicts; off while there is no server, see src/sync.js
+  themeMode: DEFAULT_THEME_MODE, // 'system' | 'light' | 'dark' | 'contrast', see src/theme.js
+  draft: null, // { id, createdAt, form, savedAt } an unsaved new recipe, see src/recipeForm.js
 };
 
+// Recipe changes get an `updatedAt` and are queued for sync; data from storage or the server isn't
+// re-queued, and an undo decides for itself (see restoreVersions).
+const UNTRACKED_ACTIONS = ['load', 'applySync', 'undoUpdate'];
+function trackedReducer(state, action) {
+  const next = reducer(state, action);
+  return UNTRACKED_ACTIONS.includes(action.type) ? next : trackRecipeChanges(state, next, Date.now());
+}
+
 function reducer(state, action) {
   switch (action.type) {
-    case 'load':
-      return { ...state, ...action.payload };
-    case 'add': {
-      const recipes = [action.recipe, ...state.recipes];
-      return { ...state, recipes };
+    case 'load': {
+      const { recipes, ...slices } = action.payload;
+      const next = { ...state, ...slices, ...(recipes ? normalizeRecipes(recipes) : {}) };
+      return {
+        ...next,
+        mealPlan: flagMissingRecipes(next.mealPlan, selectLiveRecipes(next)),
+        categories: mergeCategories(next.categories, selectRecipes(next)),
+      };
     }
+    case 'add':
+      return { ...state, ...putRecipes(state, [action.recipe]) };
     case 'update': {
-      const recipes = state.recipes.map(r => (r.id === action.recipe.id ? action.recipe : r));
-      return { ...state, recipes };
+      const previous = getRecipe(state, action.recipe.id);
+      const revisions = recordRevision(state.revisions, previous, action.recipe, { id: uuid(), at: Date.now() });
+      return { ...state, ...changeRecipe(state, action.recipe.id, () => action.recipe), revisions };
+    }
+    case 'undoUpdate': {
+      // Puts back the versions from before an update (or revert, or import) and forgets the
+      // revisions it recorded, so an undone edit leaves nothing in History.
+      const known = action.recipes.filter(r => getRecipe(state, r.id));
+      const { recipes, sync } = restoreVersions(state.sync, known, Date.now());
+      return { ...state, ...putRecipes(state, recipes), revisions: known.reduce(dropLatestRevision, state.revisions), sync };
+    }
+    case 'revertRecipe': {
+      const current = getRecipe(state, action.id);
+      const recipe = current && revertTo(state.revisions, current, action.revisionId);
+      return recipe ? reducer(state, { type: 'update', recipe }) : state;
     }
     case 'delete': {
-      const recipes = state.recipes.filter(r => r.id !== action.id);
-      const favorites = { ...state.favorites };
-      delete favorites[action.id];
-      return { ...state, recipes, favorites };
+      // Soft delete: the recipe (and its favorite) stay around until purged from the Trash.
+      const deleted = getRecipe(state, action.id);
+      const now = Date.now();
+      const mealPlan = flagDeletedRecipe(state.mealPlan, action.id, deleted?.title);
+      return { ...state, ...changeRecipe(state, action.id, r => trashRecipe(r, now)), mealPlan };
+    }
+    case 'restore':
+      return { ...state, ...changeRecipe(state, action.id, restoreRecipe), mealPlan: unflagRestoredRecipe(state.mealPlan, action.id) };
+    case 'purge': {
+      return {
+        ...state,
+        ...dropRecipes(state, action.ids),
+        collections: removeRecipes(state.collections, action.ids),
+        ...forgetRecipes(state, action.ids),
+        revisions: dropRevisions(state.revisions, action.ids),
+        imageCache: dropImageCache(state.imageCache, action.ids),
+      };
+    }
+    case 'purgeExpiredTrash':
+      return reducer(state, { type: 'purge', ids: expiredIds(selectTrashedRecipes(state), action.now) });
+    case 'importRecipes': {
+      const retag = (r) => ({ ...r, tags: canonicalTags(r.tags, state.categories) });
+      const added = action.add.map(retag);
+      const next = { ...state, ...putRecipes(state, added), categories: mergeCategories(state.categories, [...added, ...action.replace]) };
+      // Replacements are edits like any other, so each keeps its previous version in History.
+      return action.replace.map(retag).reduce((acc, recipe) => reducer(acc, { type: 'update', recipe }), next);
     }
-    case 'toggleFavorite': {
-      const favorites = { ...state.favorites };
-      if (favorites[action.id]) delete favorites[action.id];
-      else favorites[action.id] = true;
-      return { ...state, favorites };
+    case 'addCategory':
+      return { ...state, categories: addCategory(state.categories, action.name) };
+    case 'renameCategory': {
+      const { categories, recipes } = renameCategory({ categories: state.categories, recipes: selectRecipes(state) }, action.from, action.to);
+      return { ...state, categories, ...putRecipes(state, recipes) };
+    }
+    case 'moveCategory':
+      return { ...state, categories: moveCategory(state.categories, action.name, action.delta) };
+    case 'deleteCategory': {
+      const { categories, recipes } = deleteCategory({ categories: state.categories, recipes: selectRecipes(state) }, action.name, action.reassignTo);
+      return { ...state, categories, ...putRecipes(state, recipes) };
+    }
+    case 'toggleFavorite':
+      return { ...state, collections: toggleInCollection(state.collections, FAVORITES_ID, action.id) };
+    case 'createCollection': {
+      const collections = createCollection(state.collections, action.collection);
+      return {
+        ...state,
+        collections: action.recipeId ? toggleInCollection(collections, action.collection.id, action.recipeId) : collections,
+      };
+    }
+    case 'renameCollection':
+      return { ...state, collections: renameCollection(state.collections, action.id, action.name) };
+    case 'setCollectionCover':
+      return { ...state, collections: setCollectionCover(state.collections, action.id, action.cover) };
+    case 'deleteCollection':
+      return { ...state, collections: deleteCollection(state.collections, action.id) };
+    case 'toggleInCollection':
+      return { ...state, collections: toggleInCollection(state.collections, action.id, action.recipeId) };
+    case 'moveInCollection':
+      return { ...state, collections: moveInCollection(state.collections, action.id, action.recipeId, action.delta) };
+    case 'setImageCache':
+      return { ...state, imageCache: { ...state.imageCache, [action.recipeId]: action.entry } };
+    case 'setDraft':
+      return { ...state, draft: action.draft };
+    case 'discardDraft':
+      return { ...state, draft: null };
+    case 'setThemeMode':
+      return { ...state, themeMode: action.mode };
+    case 'enableSync':
+      return { ...state, sync: enableSync(selectRecipes(state), action.serverUrl, action.deviceId) };
+    case 'disableSync':
+      return { ...state, sync: disableSync() };
+    case 'applySync': {
+      const { sync, purged, ...library } = applySyncResult(state, action.result);
+      const next = reducer({ ...state, ...library, sync }, { type: 'purge', ids: purged });
+      return {
+        ...next,
+        mealPlan: flagMissingRecipes(next.mealPlan, selectLiveRecipes(next)),
+        categories: mergeCategories(next.categories, selectRecipes(next)),
+      };
+    }
+    case 'useConflictVersion': {
+      const conflict = state.sync.conflicts.find(c => c.id === action.id);
+      if (!conflict) return state;
+      const next = { ...state, sync: dismissConflict(state.sync, action.id) };
+      const recipe = conflictRecipe(conflict);
+      const exists = !!getRecipe(state, conflict.recipeId);
+      if (!recipe) return exists ? reducer(next, { type: 'delete', id: conflict.recipeId }) : next;
+      return reducer(next, { type: exists ? 'update' : 'add', recipe });
+    }
+    case 'dismissConflict':
+      return { ...state, sync: dismissConflict(state.sync, action.id) };
+    case 'logCooked':
+      return { ...state, cookLog: logCook(state.cookLog, action.entry) };
+    case 'deleteLogEntry':
+      return { ...state, cookLog: deleteLogEntry(state.cookLog, action.id) };
+    case 'setRecipeNote':
+      return { ...state, recipeNotes: setRecipeNote(state.recipeNotes, action.recipeId, action.text) };
+    case 'addRecipeToShopping':
+      return { ...state, shopping: addRecipeToList(state.shopping, action.recipe, action.servings) };
+    case 'addShoppingItem':
+      return { ...state, shopping: addManualItem(state.shopping, action.text) };
+    case 'toggleShoppingItem': {
+      const shopping = state.shopping.map(i => (i.id === action.id ? { ...i, checked: !i.checked } : i));
+      return { ...state, shopping };
+    }
+    case 'clearCheckedShopping':
+      return { ...state, shopping: state.shopping.filter(i => !i.checked) };
+    case 'addPantryItem':
+      return { ...state, pantry: addPantryItem(state.pantry, action.text, { expires: action.expires }, uuid) };
+    case 'removePantryItem':
+      return { ...state, pantry: removePantryItem(state.pantry, action.id) };
+    case 'setPantryExpiry':
+      return { ...state, pantry: setPantryExpiry(state.pantry, action.id, action.expires) };
+    case 'toggleAllergen': {
+      const { allergens } = state.allergyProfile;
+      const next = allergens.includes(action.key) ? allergens.filter(k => k !== action.key) : [...allergens, action.key];
+      return { ...state, allergyProfile: { ...state.allergyProfile, allergens: next } };
+    }
+    case 'setAllergyMode':
+      return { ...state, allergyProfile: { ...state.allergyProfile, mode: action.mode } };
+    case 'planMeal':
+      return { ...state, mealPlan: planMeal(state.mealPlan, action.entry) };
+    case 'setPlannedServings':
+      return { ...state, mealPlan: setPlannedServings(state.mealPlan, action.id, action.servings) };
+    case 'unplanMeal':
+      return { ...state, mealPlan: unplanMeal(state.mealPlan, action.id) };
+    case 'copyPlanWeek':
+      return { ...state, mealPlan: copyWeek(state.mealPlan, action.from, action.to, uuid) };
+    case 'addPlanWeekToShopping': {
+      return { ...state, shopping: addWeekToShopping(state.shopping, state.mealPlan, selectLiveRecipesById(state), action.weekStart) };
     }
     default:
       return state;
   }
 }
 
-async function saveToStorage(recipes, favorites) {
-  try {
-    await AsyncStorage.setItem(storageKeys.recipes, JSON.stringify(recipes));
-    await AsyncStorage.setItem(storageKeys.favorites, JSON.stringify(favorites));
-  } catch (e) {}
-}
-
 // ---- Pseudo Navigation (Stack) --------------------------------------------
+// Every entry gets a key so screens remount when they become current (e.g. Feed with a new category).
+const withKey = (entry) => (entry.key ? entry : { ...entry, key: uuid() });
+
 function useStackNav(initial = { name: 'Feed' }) {
-  const [stack, setStack] = useState([initial]);
+  const [stack, setStack] = useState(() => [withKey(initial)]);
   const current = stack[stack.length - 1];
-  const push = (name, params) => setStack(s => [...s, { name, params }]);
-  const pop = () => setStack(s => (s.length > 1 ? s.slice(0, -1) : s));
-  const reset = (name, params) => setStack([{ name, params }]);
-  return { current, push, pop, reset };
+  // Lets the current screen take over the Android back button, e.g. to confirm leaving a form.
+  // `onBack` returns true when it handled the press; the returned function removes it.
+  const backGuard = useRef(null);
+  // The actions never change, so memoized screens and list rows can take them as props.
+  const actions = useMemo(() => ({
+    push: (name, params) => setStack(s => [...s, withKey({ name, params })]),
+    pop: () => setStack(s => (s.length > 1 ? s.slice(0, -1) : s)),
+    reset: (name, params) => setStack([withKey({ name, params })]),
+    restore: (entries) => setStack(entries.map(withKey)),
+    guardBack: (onBack) => {
+      backGuard.current = onBack;
+      return () => {
+        if (backGuard.current === onBack) backGuard.current = null;
+      };
+    },
+    // Merges into the current entry's params, e.g. so an unsaved form survives a restart.
+    setParams: (params) => setStack(s => {
+      const top = s[s.length - 1];
+      return [...s.slice(0, -1), { ...top, params: { ...top.params, ...params } }];
+    }),
+  }), []);
+
+  // Android hardware back pops the stack; at the root it falls through and leaves the app.
+  useEffect(() => {
+    const sub = BackHandler.addEventListener('hardwareBackPress', () => {
+      if (backGuard.current?.()) return true;
+      if (stack.length <= 1) return false;
+      actions.pop();
+      return true;
+    });
+    return () => sub.remove();
+  }, [stack.length]);
+
+  return { stack, current, ...actions };
+}
+
+// Every screen reads the library through selectors of its own, so their caches don't evict each
+// other's (see createSelectors in src/library.js).
+function useSelectors() {
+  const [selectors] = useState(createSelectors);
+  return selectors;
+}
+
+// ---- Theme -----------------------------------------------------------------
+// Screens read colors and the spacing/type scales with `useTheme()`, see src/theme.js.
+const ThemeContext = React.createContext(THEMES.light);
+const useTheme = () => useContext(ThemeContext);
+
+// Themed replacements for the react-native primitives: text gets the theme's color and size unless
+// a style says otherwise; nested Text keeps inheriting from its parent.
+const InsideText = React.createContext(false);
+function Text({ style, ...props }) {
+  const { colors, type } = useTheme();
+  const nested = useContext(InsideText);
+  return (
+    <InsideText.Provider value>
+      <RNText {...props} style={nested ? style : [{ color: colors.text, fontSize: type.body }, style]} />
+    </InsideText.Provider>
+  );
+}
+
+function TextInput({ style, ...props }) {
+  const { colors, dark } = useTheme();
+  return <RNTextInput placeholderTextColor={colors.textFaint} keyboardAppearance={dark ? 'dark' : 'light'} {...props} style={[{ color: colors.text }, style]} />;
 }
 
 // ---- UI Building Blocks ----------------------------------------------------
-const Pill = ({ active, label, onPress }) => (
-  <TouchableOpacity
-    onPress={onPress}
-    style={{
-      paddingHorizontal: 14,
-      paddingVertical: 8,
-      borderRadius: 20,
-      backgroundColor: active ? '#111827' : '#e5e7eb',
-      marginRight: 8,
-    }}>
-    <Text style={{ color: active ? 'white' : '#111827', fontWeight: '600' }}>{label}</Text>
-  </TouchableOpacity>
-);
-
-const Card = ({ children, onPress }) => (
-  <TouchableOpacity
-    activeOpacity={0.85}
-    onPress={onPress}
-    style={{
-      backgroundColor: 'white',
-      borderRadius: 14,
-      overflow: 'hidden',
-      marginBottom: 12,
-      shadowColor: '#000',
-      shadowOpacity: 0.08,
-      shadowRadius: 12,
-      elevation: 2,
-    }}>
-    {children}
-  </TouchableOpacity>
-);
-
-function Heart({ filled, onPress }) {
-  return (
-    <TouchableOpacity onPress={onPress} style={{ padding: 6 }}>
-      <Text style={{ fontSize: 22 }}>{filled ? '❤️' : '🤍'}</Text>
+function Pill({ active, label, onPress }) {
+  const { colors, spacing, radius, outline } = useTheme();
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        paddingHorizontal: spacing.mdPlus,
+        paddingVertical: spacing.sm,
+        borderRadius: radius.pill,
+        backgroundColor: active ? colors.primary : colors.chip,
+        marginRight: spacing.sm,
+        ...outline,
+      }}>
+      <Text style={{ color: active ? colors.onPrimary : colors.text, fontWeight: '600' }}>{label}</Text>
     </TouchableOpacity>
   );
 }
 
-// ---- Screens ---------------------------------------------------------------
-function Header({ title, onBack }) {
+function Card({ children, onPress }) {
+  const { colors, spacing, dark, outline, radius } = useTheme();
   return (
-    <View style={{ flexDirection: 'row', alignItems: 'center', padding: 12 }}>
-      {onBack ? (
-        <TouchableOpacity onPress={onBack} style={{ paddingRight: 8 }}>
-          <Text style={{ fontSize: 18 }}>←</Text>
-        </TouchableOpacity>
-      ) : null}
-      <Text style={{ fontSize: 20, fontWeight: '700' }}>{title}</Text>
-    </View>
+    <TouchableOpacity
+      activeOpacity={0.85}
+      onPress={onPress}
+      style={{
+        backgroundColor: colors.surface,
+        borderRadius: radius.card,
+        overflow: 'hidden',
+        marginBottom: spacing.md,
+        shadowColor: colors.shadow,
+        shadowOpacity: dark ? 0 : 0.08,
+        shadowRadius: spacing.md,
+        elevation: dark ? 0 : 2,
+        ...outline,
+      }}>
+      {children}
+    </TouchableOpacity>
   );
 }
 
-function Feed({ state, dispatch, nav }) {
-  const [category, setCategory] = useState('All');
+function ServingsStepper({ value, onChange }) {
+  const { styles } = useTheme();
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+      <TouchableOpacity onPress={() => onChange(Math.max(1, value - 1))} style={styles.stepper}>
+        <Text style={{ fontWeight: '700' }}>−</Text>
+      </TouchableOpacity>
+      <Text style={{ minWidth: 28, textAlign: 'center', fontWeight: '700' }}>{value}</Text>
+      <TouchableOpacity onPress={() => onChange(value + 1)} style={styles.stepper}>
+        <Text style={{ fontWeight: '700' }}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
 
-  const list = useMemo(() => {
-    if (category === 'All' || category === 'My Food') return state.recipes;
-    return state.recipes.filter(r => r.category === category);
-  }, [state.recipes, category]);
+function Heart({ filled, onPress, onLongPress }) {
+  const { spacing, type } = useTheme();
+  return (
+    <TouchableOpacity onPress={onPress} onLongPress={onLongPress} style={{ padding: spacing.xsPlus }}>
+      <Text style={{ fontSize: type.icon }}>{filled ? '❤️' : '🤍'}</Text>
+    </TouchableOpacity>
+  );
+}
 
-  const open = (recipe) => nav.push('Details', { recipeId: recipe.id });
-  const openCategory = (c) => {
-    if (c === 'My Food') nav.push('MyFood');
-    else setCategory(c);
-  };
+// Tries each uri in turn (e.g. thumbnail, local copy, original) and shows a placeholder when none loads.
+function RecipeImage({ uris, style, resizeMode = 'cover' }) {
+  const { colors, type } = useTheme();
+  const [failed, setFailed] = useState(0); // number of candidates that failed to load
+  const key = uris.join('|');
+  useEffect(() => setFailed(0), [key]);
+  const uri = uris[failed];
+  if (!uri) {
+    return (
+      <View style={[{ backgroundColor: colors.chip, alignItems: 'center', justifyContent: 'center' }, style]}>
+        <Text style={{ fontSize: type.hero }}>🍽</Text>
+      </View>
+    );
+  }
+  return <Image source={{ uri }} style={style} resizeMode={resizeMode} onError={() => setFailed(n => n + 1)} />;
+}
 
+function Snackbar({ message, onUndo }) {
+  const { colors, spacing, radius } = useTheme();
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: '#f3f4f6' }}>
-      <Header title="Foodie – Recipes" />
+    <View
+      style={{
+        position: 'absolute',
+        left: spacing.md,
+        right: spacing.md,
+        bottom: spacing.xxl,
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.primary,
+        borderRadius: radius.md,
+        paddingVertical: spacing.md,
+        paddingHorizontal: spacing.mdPlus,
+        elevation: 4,
+      }}>
+      <Text style={{ flex: 1, color: colors.onPrimary }}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={{ color: colors.highlight, fontWeight: '700' }}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
 
-      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ paddingHorizontal: 12 }}>
-        <Pill label={'All'} active={category === 'All'} onPress={() => setCategory('All')} />
-        {CATEGORIES.map((c) => (
-          <Pill key={c} label={c} active={category === c} onPress={() => openCategory(c)} />
-        ))}
-      </ScrollView>
+function AllergenBadges({ recipe, profile }) {
+  const { colors, spacing, radius, type } = useTheme();
+  const { allergens } = classifyRecipe(recipe);
+  if (!allergens.length) return null;
+  return (
+    <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginTop: spacing.xs }}>
+      {allergens.map(key => {
+        const a = allergenInfo(key);
+        const unsafe = profile.allergens.includes(key);
+        return (
+          <Text
+            key={key}
+            style={{ fontSize: type.badge, marginRight: spacing.xs, marginTop: spacing.xxs, paddingVertical: spacing.xxs, paddingHorizontal: spacing.xsPlus, borderRadius: radius.pill, overflow: 'hidden', backgroundColor: unsafe ? colors.dangerBg : colors.background, color: unsafe ? colors.dangerText : colors.textSecondary, fontWeight: unsafe ? '700' : '400' }}>
+            {a.icon} {a.label}
+          </Text>
+        );
+      })}
+    </View>
+  );
+}
 
-      <Text style={{ marginTop: 10, marginHorizontal: 12, fontWeight: '700' }}>
-        {category === 'All' ? 'All Recipes' : `${category} Recipes`}
-      </Text>
+// Bottom sheet for putting one recipe into any number of collections.
+function CollectionSheet({ recipe, collections, dispatch, onClose }) {
+  const { colors, styles, spacing, type } = useTheme();
+  const [name, setName] = useState('');
+  if (!recipe) return null;
 
-      <FlatList
-        data={list}
-        keyExtractor={(item) => item.id}
-        contentContainerStyle={{ padding: 12 }}
-        renderItem={({ item }) => (
-          <Card onPress={() => open(item)}>
-            <Image source={{ uri: item.image }} style={{ height: 180 }} resizeMode="cover" />
-            <View style={{ padding: 12, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-              <View style={{ flex: 1 }}>
-                <Text style={{ fontSize: 16, fontWeight: '700' }}>{item.title}</Text>
-                <Text style={{ color: '#6b7280', marginTop: 2 }}>{item.category} · {item.prepTime} · {item.difficulty}</Text>
-              </View>
-              <Heart
-                filled={!!state.favorites[item.id]}
-                onPress={() => dispatch({ type: 'toggleFavorite', id: item.id })}
-              />
-            </View>
-          </Card>
-        )}
-      />
+  const create = () => {
+    if (!name.trim()) return;
+    dispatch({ type: 'createCollection', collection: { id: uuid(), name }, recipeId: recipe.id });
+    setName('');
+  };
 
-      <View style={{ paddingHorizontal: 12, paddingBottom: 16 }}>
-        <TouchableOpacity onPress={() => nav.push('Favorites')} style={{ alignSelf: 'flex-start' }}>
-          <Text style={{ fontWeight: '600' }}>♥ Favorites</Text>
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity activeOpacity={1} onPress={onClose} style={{ flex: 1, backgroundColor: colors.overlay }} />
+      <View style={[styles.sheet, { maxHeight: '70%' }]}>
+        <Text style={{ fontWeight: '700', fontSize: type.subtitle }}>Save "{recipe.title}" to…</Text>
+        <ScrollView style={{ marginTop: spacing.sm }} keyboardShouldPersistTaps="handled">
+          {collections.map(c => {
+            const on = c.recipeIds.includes(recipe.id);
+            return (
+              <TouchableOpacity
+                key={c.id}
+                onPress={() => dispatch({ type: 'toggleInCollection', id: c.id, recipeId: recipe.id })}
+                style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: spacing.smPlus }}>
+                <Text style={{ fontSize: type.title, marginRight: spacing.smPlus }}>{on ? '☑' : '☐'}</Text>
+                <Text style={{ flex: 1, fontWeight: '600' }}>{isBuiltIn(c) ? '♥ ' : ''}{c.name}</Text>
+                <Text style={{ color: colors.textMuted }}>{c.recipeIds.length}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.sm }}>
+          <TextInput
+            style={[styles.input, { flex: 1 }]} value={name} onChangeText={setName}
+            placeholder="New collection, e.g. Weeknight" onSubmitEditing={create} returnKeyType="done"
+          />
+          <TouchableOpacity onPress={create} style={{ marginLeft: spacing.sm }}>
+            <Text style={styles.button}>Create</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity onPress={onClose} style={{ marginTop: spacing.md }}>
+          <Text style={{ textAlign: 'center', fontWeight: '700', color: colors.link }}>Done</Text>
         </TouchableOpacity>
       </View>
-    </SafeAreaView>
+    </Modal>
   );
 }
 
-function Details({ state, dispatch, nav, route }) {
-  const recipe = state.recipes.find((r) => r.id === route.recipeId);
-  if (!recipe) return <SafeAreaView><Header title="Recipe" onBack={nav.pop} /><Text>Not found.</Text></SafeAreaView>;
+// Sheet for logging that a recipe was cooked: date, rating, notes and an optional photo.
+function CookedSheet({ recipe, dispatch, onClose }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const [date, setDate] = useState(toISODate(new Date()));
+  const [rating, setRating] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [photo, setPhoto] = useState('');
+
+  const attachPhoto = async () => {
+    const uri = await pickImageUri(recipe.id);
+    if (uri) setPhoto(uri);
+  };
 
-  const isFav = !!state.favorites[recipe.id];
+  const save = () => {
+    if (!ISO_DATE_RE.test(date)) {
+      Alert.alert('Check the date', 'Use the YYYY-MM-DD format, e.g. 2024-05-31.');
+      return;
+    }
+    dispatch({ type: 'logCooked', entry: { id: uuid(), recipeId: recipe.id, date, rating, notes, photo } });
+    onClose();
+  };
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: 'white' }}>
-      <Header title={recipe.title} onBack={nav.pop} />
-      <Image source={{ uri: recipe.image }} style={{ width: '100%', height: 240 }} resizeMode="cover" />
-      <View style={{ padding: 14 }}>
-        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-          <Text style={{ color: '#6b7280' }}>{recipe.category} • {recipe.prepTime} • Serves {recipe.servings}</Text>
-          <Heart filled={isFav} onPress={() => dispatch({ type: 'toggleFavorite', id: recipe.id })} />
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity activeOpacity={1} onPress={onClose} style={{ flex: 1, backgroundColor: colors.overlay }} />
+      <View style={styles.sheet}>
+        <Text style={{ fontWeight: '700', fontSize: type.subtitle }}>I cooked "{recipe.title}"</Text>
+        <Text style={styles.label}>Date</Text>
+        <TextInput style={styles.input} value={date} onChangeText={setDate} placeholder="YYYY-MM-DD" />
+        <Text style={styles.label}>Rating</Text>
+        <View style={{ flexDirection: 'row' }}>
+          {RATINGS.map(n => (
+            <TouchableOpacity key={n} onPress={() => setRating(r => (r === n ? null : n))} style={{ paddingRight: spacing.sm }}>
+              <Text style={{ fontSize: type.iconLg, color: colors.warning }}>{rating && n <= rating ? '★' : '☆'}</Text>
+            </TouchableOpacity>
+          ))}
         </View>
-        <Text style={{ marginTop: 6 }}>Calories: <Text style={{ fontWeight: '700' }}>{recipe.calories}</Text> • Difficulty: <Text style={{ fontWeight: '700' }}>{recipe.difficulty}</Text></Text>
-
-        <Text style={{ marginTop: 14, fontWeight: '700', fontSize: 16 }}>Ingredients</Text>
-        {recipe.ingredients.map((ing, i) => (
-          <Text key={i} style={{ color: '#374151', marginTop: 4 }}>• {ing}</Text>
-        ))}
-
-        <Text style={{ marginTop: 14, fontWeight: '700', fontSize: 16 }}>Instructions</Text>
-        <Text style={{ color: '#374151', marginTop: 4 }}>{recipe.instructions}</Text>
-      </View>
-
-      {recipe.owner !== 'sample' && (
-        <View style={{ flexDirection: 'row', justifyContent: 'space-around', paddingBottom: 20 }}>
-          <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'edit', recipe })}>
-            <Text style={{ padding: 12, backgroundColor: '#111827', color: 'white', borderRadius: 8 }}>Edit</Text>
+        <Text style={styles.label}>Notes</Text>
+        <TextInput
+          style={[styles.input, { height: 80, textAlignVertical: 'top' }]} value={notes} onChangeText={setNotes} multiline
+          placeholder="e.g. Needed 5 more minutes, less salt next time"
+        />
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.smPlus }}>
+          {photo ? <Image source={{ uri: photo }} style={{ width: 56, height: 56, borderRadius: radius.sm, marginRight: spacing.smPlus }} /> : null}
+          <TouchableOpacity onPress={attachPhoto}>
+            <Text style={styles.link}>📷 {photo ? 'Change photo' : 'Add a photo'}</Text>
           </TouchableOpacity>
-          <TouchableOpacity
-            onPress={() => {
-              Alert.alert('Delete recipe?', 'This cannot be undone', [
-                { text: 'Cancel', style: 'cancel' },
-                {
-                  text: 'Delete', style: 'destructive', onPress: () => {
-                    dispatch({ type: 'delete', id: recipe.id });
-                    nav.pop();
-                  }
-                }
-              ]);
-            }}
-          >
-            <Text style={{ padding: 12, backgroundColor: '#ef4444', color: 'white', borderRadius: 8 }}>Delete</Text>
+          {photo ? (
+            <TouchableOpacity onPress={() => setPhoto('')} style={{ marginLeft: spacing.lg }}>
+              <Text style={{ color: colors.danger }}>Remove</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <View style={{ flexDirection: 'row', justifyContent: 'flex-end', marginTop: spacing.mdPlus, gap: spacing.lg }}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={{ paddingVertical: spacing.smPlus, fontWeight: '600', color: colors.textMuted }}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={save}>
+            <Text style={{ backgroundColor: colors.primary, color: colors.onPrimary, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.lg, borderRadius: radius.sm, fontWeight: '700' }}>Save</Text>
           </TouchableOpacity>
         </View>
-      )}
-    </SafeAreaView>
+      </View>
+    </Modal>
   );
 }
 
-function Favorites({ state, nav }) {
-  const list = state.recipes.filter(r => state.favorites[r.id]);
+// Share a recipe as a foodie:// link, a QR code of that link, or plain text.
+function ShareSheet({ recipe, onClose }) {
+  const { colors, styles, spacing, type } = useTheme();
+  const link = useMemo(() => encodeShareLink(recipe), [recipe]);
+  const share = (message) => Share.share({ title: recipe.title, message }).catch(() => {});
+
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: '#f3f4f6' }}>
-      <Header title="Favorites" onBack={nav.pop} />
-      <FlatList
-        data={list}
-        keyExtractor={(item) => item.id}
-        contentContainerStyle={{ padding: 12 }}
-        renderItem={({ item }) => (
-          <Card onPress={() => nav.push('Details', { recipeId: item.id })}>
-            <Image source={{ uri: item.image }} style={{ height: 160 }} />
-            <View style={{ padding: 12 }}>
-              <Text style={{ fontWeight: '700' }}>{item.title}</Text>
-              <Text style={{ color: '#6b7280' }}>{item.category}</Text>
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity activeOpacity={1} onPress={onClose} style={{ flex: 1, backgroundColor: colors.overlay }} />
+      <View style={styles.sheet}>
+        <Text style={{ fontWeight: '700', fontSize: type.subtitle }}>Share "{recipe.title}"</Text>
+        {link ? (
+          <>
+            <View style={{ alignItems: 'center', marginVertical: spacing.mdPlus }}>
+              <QRCode value={link.url} size={220} />
             </View>
-          </Card>
+            <Text style={{ color: colors.textMuted, textAlign: 'center' }}>Scan with a phone that has Foodie to import the recipe.</Text>
+          </>
+        ) : (
+          <Text style={{ color: colors.warningText, marginTop: spacing.smPlus }}>This recipe is too long for a link or QR code, but you can still share it as text.</Text>
         )}
-      />
-    </SafeAreaView>
+        <View style={{ flexDirection: 'row', justifyContent: 'center', gap: spacing.lg, marginTop: spacing.mdPlus }}>
+          {link ? (
+            <TouchableOpacity onPress={() => share(recipeToText(recipe, link.url))}>
+              <Text style={styles.button}>Share link</Text>
+            </TouchableOpacity>
+          ) : null}
+          <TouchableOpacity onPress={() => share(recipeToText(recipe))}>
+            <Text style={styles.secondaryButton}>Share as text</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity onPress={onClose} style={{ marginTop: spacing.md }}>
+          <Text style={{ textAlign: 'center', fontWeight: '700', color: colors.link }}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
   );
 }
 
-function MyFood({ state, nav }) {
-  const mine = state.recipes.filter(r => r.owner !== 'sample');
+// "Cooked 3× · ★ 4.5" for a recipe's cookStats entry, '' when it was never cooked.
+const cookedLabel = (stat) => (stat ? [`Cooked ${stat.count}×`, stat.average ? `★ ${stat.average}` : ''].filter(Boolean).join(' · ') : '');
+
+// Cooking history and personal notes on Details; notes are stored apart from the recipe so sample recipes take them too.
+function CookingLog({ recipe, state, dispatch }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const entries = useMemo(() => entriesFor(state.cookLog, recipe.id), [state.cookLog, recipe.id]);
+  const saved = state.recipeNotes[recipe.id] || '';
+  const [note, setNote] = useState(saved);
+  const [logging, setLogging] = useState(false);
+  const average = averageRating(entries);
+
+  const confirmDelete = (entry) => Alert.alert('Delete this entry?', formatDay(entry.date), [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Delete', style: 'destructive', onPress: () => dispatch({ type: 'deleteLogEntry', id: entry.id }) },
+  ]);
+
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: '#f3f4f6' }}>
-      <Header title="My Food" onBack={nav.pop} />
-      <View style={{ paddingHorizontal: 12, paddingBottom: 8 }}>
-        <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'add' })}>
-          <Text style={{ backgroundColor: '#10b981', color: 'white', alignSelf: 'flex-start', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 10 }}>＋ Add New Recipe</Text>
+    <View style={{ marginTop: spacing.mdPlus }}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Text style={{ fontWeight: '700', fontSize: type.subtitle }}>Cooking log</Text>
+        <TouchableOpacity onPress={() => setLogging(true)}>
+          <Text style={{ backgroundColor: colors.success, color: colors.onAccent, paddingVertical: spacing.sm, paddingHorizontal: spacing.md, borderRadius: radius.sm, fontWeight: '700' }}>✅ I cooked this</Text>
         </TouchableOpacity>
       </View>
+      <Text style={{ color: colors.textMuted, marginTop: spacing.xs }}>
+        {entries.length
+          ? `Cooked ${entries.length} time${entries.length > 1 ? 's' : ''}, last on ${formatDay(entries[0].date)}${average ? ` · ${formatStars(Math.round(average))} ${average} average` : ''}`
+          : 'Not cooked yet.'}
+      </Text>
+      {entries.map(e => (
+        <View key={e.id} style={{ flexDirection: 'row', marginTop: spacing.sm, backgroundColor: colors.surfaceMuted, borderRadius: radius.md, padding: spacing.smPlus }}>
+          {e.photo ? <Image source={{ uri: e.photo }} style={{ width: 56, height: 56, borderRadius: radius.sm, marginRight: spacing.smPlus }} /> : null}
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontWeight: '600' }}>
+              {formatDay(e.date)}{e.rating ? <Text style={{ color: colors.warning }}>  {formatStars(e.rating)}</Text> : null}
+            </Text>
+            {e.notes ? <Text style={{ color: colors.textSecondary, marginTop: spacing.xxs }}>{e.notes}</Text> : null}
+          </View>
+          <TouchableOpacity onPress={() => confirmDelete(e)}>
+            <Text style={{ color: colors.textFaint, paddingLeft: spacing.sm }}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
 
-      <FlatList
-        data={mine}
-        keyExtractor={(item) => item.id}
-        ListEmptyComponent={() => (
-          <Text style={{ padding: 20, color: '#6b7280' }}>No recipes yet. Tap "Add New Recipe" to begin.</Text>
-        )}
-        contentContainerStyle={{ padding: 12 }}
-        renderItem={({ item }) => (
-          <Card onPress={() => nav.push('Details', { recipeId: item.id })}>
-            <Image source={{ uri: item.image }} style={{ height: 160 }} />
-            <View style={{ padding: 12, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-              <View>
-                <Text style={{ fontWeight: '700' }}>{item.title}</Text>
-                <Text style={{ color: '#6b7280' }}>{item.category}</Text>
-              </View>
-              <View style={{ flexDirection: 'row', gap: 8 }}>
-                <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'edit', recipe: item })}>
-                  <Text style={{ paddingVertical: 8, paddingHorizontal: 10, backgroundColor: '#111827', color: 'white', borderRadius: 8 }}>Edit</Text>
-                </TouchableOpacity>
-                <TouchableOpacity onPress={() => nav.push('Details', { recipeId: item.id })}>
-                  <Text style={{ paddingVertical: 8, paddingHorizontal: 10, backgroundColor: '#2563eb', color: 'white', borderRadius: 8 }}>Open</Text>
-                </TouchableOpacity>
-              </View>
-            </View>
-          </Card>
-        )}
+      <Text style={styles.label}>My notes</Text>
+      <TextInput
+        style={[styles.input, { minHeight: 60, textAlignVertical: 'top' }]}
+        value={note}
+        onChangeText={setNote}
+        onEndEditing={() => { if (note !== saved) dispatch({ type: 'setRecipeNote', recipeId: recipe.id, text: note }); }}
+        placeholder="Tweaks and reminders for next time"
+        multiline
       />
-    </SafeAreaView>
+      {logging && <CookedSheet recipe={recipe} dispatch={dispatch} onClose={() => setLogging(false)} />}
+    </View>
   );
 }
 
-function AddEdit({ state, dispatch, nav, route }) {
-  const editing = route.mode === 'edit';
-  const base = editing ? route.recipe : {
-    id: uuid(),
-    title: '',
-    category: 'Dinner',
-    image: '',
-    ingredients: [],
-    instructions: '',
-    prepTime: '20 min',
-    servings: 1,
-    calories: 0,
-    difficulty: 'Easy',
-    owner: 'me',
-  };
+const tagLabel = (recipe) => (recipe.tags.length ? recipe.tags.join(', ') : 'No category');
 
-  const [title, setTitle] = useState(base.title);
-  const [category, setCategory] = useState(base.category);
-  const [image, setImage] = useState(base.image);
-  const [ingredients, setIngredients] = useState(base.ingredients.join('\n'));
-  const [instructions, setInstructions] = useState(base.instructions);
-  const [prepTime, setPrepTime] = useState(base.prepTime);
-  const [servings, setServings] = useState(String(base.servings));
-  const [calories, setCalories] = useState(String(base.calories));
-  const [difficulty, setDifficulty] = useState(base.difficulty);
+const unsafeMark = (recipe, profile) => (unsafeAllergens(recipe, profile).length ? '⚠️ ' : '');
 
-  const pickImage = async () => {
-    try {
-      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
-      if (status !== 'granted') {
-        Alert.alert('Permission required', 'We need media library permission to pick an image.');
-        return;
-      }
-      const res = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.7 });
-      if (!res.canceled) {
-        setImage(res.assets[0].uri);
-      }
-    } catch (e) {
-      Alert.alert('Image Picker Error', String(e?.message || e));
+const formatNutrient = (n, value) => `${value}${n.unit === 'kcal' ? '' : ` ${n.unit}`}`;
+const unmatchedText = (unmatched) => unmatched.map(u => `${u.ingredient.item} (${UNMATCHED_REASONS[u.reason]})`).join(', ');
+
+function NutritionPanel({ recipe, estimate }) {
+  const { colors, spacing, radius, type } = useTheme();
+  const counted = estimate.matched.length + estimate.unmatched.length;
+  return (
+    <View style={{ marginTop: spacing.mdPlus, backgroundColor: colors.surfaceMuted, borderRadius: radius.lg, padding: spacing.md }}>
+      <Text style={{ fontWeight: '700', fontSize: type.subtitle }}>Nutrition per serving</Text>
+      {NUTRIENTS.map(n => {
+        const entered = n.key === 'calories' && recipe.calories ? recipe.calories : null;
+        const estimated = estimate.perServing[n.key];
+        return (
+          <View key={n.key} style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: spacing.xs }}>
+            <Text style={{ color: colors.textSecondary }}>{n.label}</Text>
+            <Text style={{ fontWeight: '600' }}>
+              {entered != null ? formatNutrient(n, entered) : `~${formatNutrient(n, estimated)}`}
+              {entered != null && estimate.matched.length > 0 && entered !== estimated ? (
+                <Text style={{ color: colors.textMuted, fontWeight: '400' }}>  (est. {estimated})</Text>
+              ) : null}
+            </Text>
+          </View>
+        );
+      })}
+      <Text style={{ color: colors.textMuted, fontSize: type.caption, marginTop: spacing.sm }}>
+        Estimated from {estimate.matched.length} of {counted} ingredients.
+        {estimate.unmatched.length ? ` Not included: ${unmatchedText(estimate.unmatched)}.` : ''}
+      </Text>
+    </View>
+  );
+}
+
+// Asks for library access, copies the picked image into app storage under `ownerId` (a recipe or
+// collection id) and resolves its uri, or null when cancelled or denied.
+async function pickImageUri(ownerId) {
+  try {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission required', 'We need media library permission to pick an image.');
+      return null;
     }
-  };
+    const res = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.7 });
+    return res.canceled ? null : await persistPickedImage(res.assets[0].uri, ownerId);
+  } catch (e) {
+    Alert.alert('Image Picker Error', String(e?.message || e));
+    return null;
+  }
+}
 
-  const save = () => {
-    if (!title.trim()) return Alert.alert('Missing title', 'Please enter a recipe name.');
-    const recipe = {
-      id: base.id,
-      title: title.trim(),
-      category,
-      image: image || 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?q=80&w=1200&auto=format&fit=crop',
-      ingredients: ingredients
-        .split('\n')
-        .map(s => s.trim())
-        .filter(Boolean),
-      instructions: instructions.trim(),
-      prepTime: prepTime.trim() || '20 min',
-      servings: Number(servings) || 1,
-      calories: Number(calories) || 0,
-      difficulty: difficulty || 'Easy',
-      owner: 'me',
-    };
-    if (editing) dispatch({ type: 'update', recipe });
-    else dispatch({ type: 'add', recipe });
-    nav.reset('MyFood');
-  };
+// ---- Screens ---------------------------------------------------------------
+function MissingRecipe({ nav, title = 'Recipe' }) {
+  const { colors, spacing, radius, type } = useTheme();
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title={title} onBack={nav.pop} />
+      <View style={{ padding: spacing.xl, alignItems: 'center' }}>
+        <Text style={{ fontSize: type.subtitle, fontWeight: '700' }}>This recipe is no longer available</Text>
+        <Text style={{ color: colors.textMuted, marginTop: spacing.xsPlus, textAlign: 'center' }}>It may have been deleted on this device.</Text>
+        <TouchableOpacity onPress={() => nav.reset('Feed')} style={{ marginTop: spacing.lg }}>
+          <Text style={{ backgroundColor: colors.primary, color: colors.onPrimary, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.mdPlus, borderRadius: radius.md }}>Browse recipes</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
 
+function Header({ title, onBack }) {
+  const { spacing, type } = useTheme();
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: 'white' }}>
-      <Header title={editing ? 'Edit Recipe' : 'Add New Recipe'} onBack={nav.pop} />
-      <ScrollView contentContainerStyle={{ padding: 14 }}>
-        <Text style={styles.label}>Recipe name</Text>
-        <TextInput style={styles.input} value={title} onChangeText={setTitle} placeholder="My tasty dish" />
+    <View style={{ flexDirection: 'row', alignItems: 'center', padding: spacing.md }}>
+      {onBack ? (
+        <TouchableOpacity onPress={onBack} style={{ paddingRight: spacing.sm }} accessibilityLabel="Back">
+          <Text style={{ fontSize: type.title }}>←</Text>
+        </TouchableOpacity>
+      ) : null}
+      <Text style={{ fontSize: type.heading, fontWeight: '700', flexShrink: 1 }}>{title}</Text>
+    </View>
+  );
+}
 
-        <Text style={styles.label}>Category</Text>
-        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginBottom: 8 }}>
-          {CATEGORIES.filter(c => c !== 'My Food').map(c => (
-            <Pill key={c} label={c} active={category === c} onPress={() => setCategory(c)} />
-          ))}
-        </ScrollView>
+// ---- Long lists ------------------------------------------------------------
+// Feed and My Food rows have a fixed height (text is cut to one line, extra badges are clipped),
+// so FlatList can place any row without measuring the ones before it.
+const FEED_ROW = { image: 180, body: 100 };
+const MY_FOOD_ROW = { image: 160, body: 72 };
 
-        <Text style={styles.label}>Image</Text>
-        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-          <TextInput style={[styles.input, { flex: 1 }]} value={image} onChangeText={setImage} placeholder="Paste image URL or pick below" />
-          <TouchableOpacity onPress={pickImage} style={{ marginLeft: 8 }}>
-            <Text style={{ backgroundColor: '#111827', color: 'white', paddingVertical: 10, paddingHorizontal: 12, borderRadius: 8 }}>Pick</Text>
-          </TouchableOpacity>
+// Shared FlatList tuning for lists that can hold thousands of recipes.
+const LONG_LIST_PROPS = {
+  initialNumToRender: 6,
+  maxToRenderPerBatch: 6,
+  windowSize: 7,
+  removeClippedSubviews: Platform.OS === 'android',
+};
+
+/** getItemLayout for rows of one fixed height (card margin included) below `padding` at the top of the list. */
+const fixedLayout = (length, padding) => (data, index) => ({ length, offset: padding + length * index, index });
+
+// Rows only re-render when their own recipe, stats or image entry change; the callbacks must be stable.
+const FeedRow = React.memo(function FeedRow({ recipe, favorite, stat, profile, image, onOpen, onToggleFavorite, onLongPressFavorite }) {
+  const { colors, spacing, type } = useTheme();
+  return (
+    <Card onPress={() => onOpen(recipe)}>
+      <RecipeImage uris={imageCandidates(recipe, { [recipe.id]: image }, { thumbnail: true })} style={{ height: FEED_ROW.image }} />
+      <View style={{ height: FEED_ROW.body, padding: spacing.md, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', overflow: 'hidden' }}>
+        <View style={{ flex: 1, maxHeight: FEED_ROW.body - 2 * spacing.md, overflow: 'hidden' }}>
+          <Text numberOfLines={1} style={{ fontSize: type.subtitle, fontWeight: '700' }}>{unsafeMark(recipe, profile)}{recipe.title}</Text>
+          <Text numberOfLines={1} style={{ color: colors.textMuted, marginTop: spacing.xxs }}>{[recipe.tags.join(', '), recipe.prepTime, recipe.difficulty, cookedLabel(stat)].filter(Boolean).join(' · ')}</Text>
+          <AllergenBadges recipe={recipe} profile={profile} />
         </View>
-        {image ? (
-          <Image source={{ uri: image }} style={{ width: '100%', height: 180, borderRadius: 12 }} resizeMode="cover" />
-        ) : null}
+        <Heart
+          filled={favorite}
+          onPress={() => onToggleFavorite(recipe.id)}
+          onLongPress={() => onLongPressFavorite(recipe)}
+        />
+      </View>
+    </Card>
+  );
+});
+
+function Feed({ state, dispatch, nav, route }) {
+  const { colors, styles, spacing, radius } = useTheme();
+  const { selectVisibleRecipes } = useSelectors();
+  const [category, setCategory] = useState(route?.category || ALL);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [includeText, setIncludeText] = useState('');
+  const [excludeText, setExcludeText] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [sheetFor, setSheetFor] = useState(null); // recipe whose collections are being edited
+
+  const stats = useMemo(() => cookStats(state.cookLog), [state.cookLog]);
+
+  const visible = selectVisibleRecipes(state);
+  const list = useMemo(() => {
+    let inCategory = visible;
+    if (category === MY_FOOD) inCategory = visible.filter(r => r.owner !== 'sample');
+    else if (category !== ALL) inCategory = visible.filter(r => r.tags.includes(category));
+    return searchRecipes(inCategory, { ...filters, include: parseTerms(includeText), exclude: parseTerms(excludeText) }, stats);
+  }, [visible, stats, category, filters, includeText, excludeText]);
+
+  const setFilter = (key, value) => setFilters(f => ({ ...f, [key]: f[key] === value ? EMPTY_FILTERS[key] : value }));
+  const calorieRange = CALORIE_RANGES.find(r => r.min === filters.minCalories && r.max === filters.maxCalories);
+  const filterCount = activeFilterCount({ ...filters, include: parseTerms(includeText), exclude: parseTerms(excludeText) });
 
-        <Text style={styles.label}>Ingredients list (one per line)</Text>
+  const counts = useMemo(
+    () => ({ ...categoryCounts(visible), [ALL]: visible.length, [MY_FOOD]: visible.filter(r => r.owner !== 'sample').length }),
+    [visible]
+  );
+
+  const favorites = useMemo(
+    () => new Set(state.collections.find(c => c.id === FAVORITES_ID)?.recipeIds || []),
+    [state.collections]
+  );
+  const open = useCallback((recipe) => nav.push('Details', { recipeId: recipe.id }), [nav.push]);
+  const toggleFavorite = useCallback((id) => dispatch({ type: 'toggleFavorite', id }), [dispatch]);
+  const rowLayout = useMemo(() => fixedLayout(FEED_ROW.image + FEED_ROW.body + spacing.md, spacing.md), [spacing.md]);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Foodie – Recipes" />
+
+      <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: spacing.md, marginBottom: spacing.sm }}>
         <TextInput
-          style={[styles.input, { height: 110 }]} multiline value={ingredients} onChangeText={setIngredients}
-          placeholder={'e.g.\n2 eggs\n1 cup milk\n…'}
+          style={[styles.input, { flex: 1, backgroundColor: colors.surface }]}
+          value={filters.query}
+          onChangeText={q => setFilters(f => ({ ...f, query: q }))}
+          placeholder="Search recipes, ingredients, steps…"
+          returnKeyType="search"
+          clearButtonMode="while-editing"
         />
+        <TouchableOpacity onPress={() => setShowFilters(v => !v)} style={{ marginLeft: spacing.sm }}>
+          <Text style={{ backgroundColor: filterCount ? colors.primary : colors.chip, color: filterCount ? colors.onPrimary : colors.text, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.md, borderRadius: radius.sm, fontWeight: '600' }}>
+            Filters{filterCount ? ` (${filterCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
 
-        <Text style={styles.label}>Step-by-step instructions</Text>
-        <TextInput style={[styles.input, { height: 120 }]} multiline value={instructions} onChangeText={setInstructions} placeholder={'Write the steps here…'} />
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ paddingHorizontal: spacing.md }}>
+        {[ALL, MY_FOOD, ...state.categories].map((c) => (
+          <Pill key={c} label={`${c} ${counts[c] || 0}`} active={category === c} onPress={() => setCategory(c)} />
+        ))}
+        <Pill label="✎ Edit" onPress={() => nav.push('Categories')} />
+      </ScrollView>
 
-        <View style={{ flexDirection: 'row', gap: 8 }}>
-          <View style={{ flex: 1 }}>
-            <Text style={styles.label}>Prep time</Text>
-            <TextInput style={styles.input} value={prepTime} onChangeText={setPrepTime} placeholder="20 min" />
+      {showFilters && (
+        <View style={{ paddingHorizontal: spacing.md }}>
+          <Text style={styles.label}>Difficulty</Text>
+          <View style={{ flexDirection: 'row' }}>
+            {DIFFICULTIES.map(d => (
+              <Pill key={d} label={d} active={filters.difficulty === d} onPress={() => setFilter('difficulty', d)} />
+            ))}
           </View>
-          <View style={{ flex: 1 }}>
-            <Text style={styles.label}>Servings</Text>
-            <TextInput style={styles.input} value={servings} onChangeText={setServings} keyboardType="numeric" placeholder="2" />
+
+          <Text style={styles.label}>Calories per serving</Text>
+          <View style={{ flexDirection: 'row' }}>
+            {CALORIE_RANGES.map(r => (
+              <Pill
+                key={r.label}
+                label={r.label}
+                active={calorieRange === r}
+                onPress={() => setFilters(f => (calorieRange === r
+                  ? { ...f, minCalories: null, maxCalories: null }
+                  : { ...f, minCalories: r.min, maxCalories: r.max }))}
+              />
+            ))}
           </View>
-        </View>
 
-        <View style={{ flexDirection: 'row', gap: 8 }}>
-          <View style={{ flex: 1 }}>
-            <Text style={styles.label}>Calories</Text>
-            <TextInput style={styles.input} value={calories} onChangeText={setCalories} keyboardType="numeric" placeholder="450" />
+          <Text style={styles.label}>Max prep time</Text>
+          <View style={{ flexDirection: 'row' }}>
+            {PREP_LIMITS.map(m => (
+              <Pill key={m} label={`≤ ${m} min`} active={filters.maxPrep === m} onPress={() => setFilter('maxPrep', m)} />
+            ))}
           </View>
-          <View style={{ flex: 1 }}>
-            <Text style={styles.label}>Difficulty</Text>
-            <TextInput style={styles.input} value={difficulty} onChangeText={setDifficulty} placeholder="Easy/Medium/Hard" />
+
+          <View style={{ flexDirection: 'row', gap: spacing.sm }}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.label}>Contains</Text>
+              <TextInput style={[styles.input, { backgroundColor: colors.surface }]} value={includeText} onChangeText={setIncludeText} placeholder="e.g. avocado" />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.label}>Excludes</Text>
+              <TextInput style={[styles.input, { backgroundColor: colors.surface }]} value={excludeText} onChangeText={setExcludeText} placeholder="e.g. nuts, egg" />
+            </View>
           </View>
+
+          <Text style={styles.label}>Sort by</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {SORTS.map(o => (
+              <Pill key={o.key} label={o.label} active={filters.sort === o.key} onPress={() => setFilters(f => ({ ...f, sort: o.key }))} />
+            ))}
+          </ScrollView>
         </View>
+      )}
+
+      <Text style={{ marginTop: spacing.smPlus, marginHorizontal: spacing.md, fontWeight: '700' }}>
+        {category === ALL ? 'All Recipes' : `${category} Recipes`} ({list.length})
+      </Text>
+
+      <FlatList
+        data={list}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>No recipes match your search.</Text>
+        )}
+        {...LONG_LIST_PROPS}
+        getItemLayout={rowLayout}
+        renderItem={({ item }) => (
+          <FeedRow
+            recipe={item}
+            favorite={favorites.has(item.id)}
+            stat={stats[item.id]}
+            profile={state.allergyProfile}
+            image={state.imageCache[item.id]}
+            onOpen={open}
+            onToggleFavorite={toggleFavorite}
+            onLongPressFavorite={setSheetFor}
+          />
+        )}
+      />
 
-        <TouchableOpacity onPress={save} style={{ marginTop: 14 }}>
-          <Text style={{ backgroundColor: '#10b981', color: 'white', textAlign: 'center', paddingVertical: 14, borderRadius: 12, fontWeight: '700' }}>Save Recipe</Text>
+      <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.lg, flexDirection: 'row', flexWrap: 'wrap', gap: spacing.lg }}>
+        <TouchableOpacity onPress={() => nav.push('MyFood')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>🍽 My Food</Text>
         </TouchableOpacity>
-      </ScrollView>
+        <TouchableOpacity onPress={() => nav.push('Collections')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>📚 Collections</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('MealPlan')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>📅 Meal Plan</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('ShoppingList')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>🛒 Shopping List{state.shopping.length ? ` (${state.shopping.filter(i => !i.checked).length})` : ''}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('Pantry')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>🥫 Pantry</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('Allergies')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>⚠️ Allergies{state.allergyProfile.allergens.length ? ` (${state.allergyProfile.allergens.length})` : ''}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('Sync')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>🔄 Sync{state.sync.conflicts.length ? ` (${state.sync.conflicts.length} to review)` : ''}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('Appearance')} style={{ alignSelf: 'flex-start' }}>
+          <Text style={{ fontWeight: '600' }}>🎨 Appearance</Text>
+        </TouchableOpacity>
+      </View>
+
+      <CollectionSheet recipe={sheetFor} collections={state.collections} dispatch={dispatch} onClose={() => setSheetFor(null)} />
     </SafeAreaView>
   );
 }
 
-// ---- Root -----------------------------------------------------------------
-export default function App() {
-  const [state, dispatch] = useReducer(reducer, initialState);
+function Details({ state, dispatch, nav, route }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const recipe = getRecipe(state, route.recipeId);
+  const [servings, setServings] = useState(recipe?.servings || 1);
+  const [units, setUnits] = useState(null); // null = as written, 'metric' | 'us'
+  const nutrition = useMemo(() => (recipe ? estimateNutrition(recipe) : null), [recipe]);
+  const [sheetOpen, setSheetOpen] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  if (!recipe) return <MissingRecipe nav={nav} />;
+
+  const isFav = isFavorite(state.collections, recipe.id);
+  const inCollections = collectionsWithRecipe(state.collections, recipe.id).filter(c => !isBuiltIn(c));
+  const { diets } = classifyRecipe(recipe);
+  const unsafe = unsafeAllergens(recipe, state.allergyProfile);
+  const conflict = categoryConflict(recipe);
+  const factor = servings / recipe.servings;
+  const trashed = isTrashed(recipe);
+  const origin = recipe.forkedFrom && getRecipe(state, recipe.forkedFrom.id);
+  const revisionCount = revisionsOf(state.revisions, recipe.id).length;
+
+  const makeMyVersion = () => {
+    // Nothing is added until the copy is saved, so backing out leaves no stray recipe behind.
+    nav.push('AddEdit', { mode: 'add', fork: forkRecipe(recipe, { id: uuid(), now: Date.now() }) });
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title={recipe.title} onBack={nav.pop} />
+      {trashed && (
+        <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.dangerBg, padding: spacing.smPlus }}>
+          <Text style={{ flex: 1, color: colors.dangerText }}>This recipe is in the Trash.</Text>
+          <TouchableOpacity onPress={() => dispatch({ type: 'restore', id: recipe.id })}>
+            <Text style={{ color: colors.dangerText, fontWeight: '700' }}>Restore</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      <ScrollView>
+        <RecipeImage uris={imageCandidates(recipe, state.imageCache)} style={{ width: '100%', height: 240 }} />
+        <View style={{ padding: spacing.mdPlus }}>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Text style={{ color: colors.textMuted, flex: 1 }}>{[tagLabel(recipe), timeLabel(recipe), `Serves ${recipe.servings}`].filter(Boolean).join(' • ')}</Text>
+            <Heart filled={isFav} onPress={() => dispatch({ type: 'toggleFavorite', id: recipe.id })} onLongPress={() => setSheetOpen(true)} />
+          </View>
+          <TouchableOpacity onPress={() => setSheetOpen(true)} style={{ alignSelf: 'flex-start', marginTop: spacing.xs }}>
+            <Text style={styles.link}>
+              📚 {inCollections.length ? `In ${inCollections.map(c => c.name).join(', ')}` : 'Add to collection'}
+            </Text>
+          </TouchableOpacity>
+          {recipe.forkedFrom ? (
+            <TouchableOpacity
+              disabled={!origin}
+              onPress={() => nav.push('Details', { recipeId: origin.id })}
+              style={{ alignSelf: 'flex-start', marginTop: spacing.xs }}>
+              <Text style={{ color: colors.textMuted }}>
+                ↳ Based on <Text style={{ fontWeight: '600', color: origin ? colors.link : colors.textMuted }}>{origin ? origin.title : recipe.forkedFrom.title}</Text>
+              </Text>
+            </TouchableOpacity>
+          ) : null}
+          <Text style={{ marginTop: spacing.xsPlus }}>Calories: <Text style={{ fontWeight: '700' }}>{recipe.calories}</Text> • Difficulty: <Text style={{ fontWeight: '700' }}>{recipe.difficulty}</Text></Text>
+          <AllergenBadges recipe={recipe} profile={state.allergyProfile} />
+          {diets.length ? <Text style={{ color: colors.successText, marginTop: spacing.xsPlus }}>Suitable for: {diets.join(', ')}</Text> : null}
+          {unsafe.length ? (
+            <Text style={{ color: colors.dangerText, backgroundColor: colors.dangerBg, padding: spacing.sm, borderRadius: radius.sm, marginTop: spacing.xsPlus }}>
+              ⚠️ Contains {unsafe.map(k => allergenInfo(k).label.toLowerCase()).join(', ')}, which your household avoids.
+            </Text>
+          ) : null}
+          {conflict ? (
+            <Text style={{ color: colors.warningText, marginTop: spacing.xsPlus }}>
+              Filed as {conflict.diet}, but contains {conflict.ingredients.join(', ')}.
+            </Text>
+          ) : null}
+
+          <Text style={{ marginTop: spacing.mdPlus, fontWeight: '700', fontSize: type.subtitle }}>Ingredients</Text>
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.sm }}>
+            <Text style={{ color: colors.textMuted, marginRight: spacing.sm }}>Servings</Text>
+            <ServingsStepper value={servings} onChange={setServings} />
+            <View style={{ flex: 1 }} />
+            <Pill label="Metric" active={units === 'metric'} onPress={() => setUnits(u => (u === 'metric' ? null : 'metric'))} />
+            <Pill label="US" active={units === 'us'} onPress={() => setUnits(u => (u === 'us' ? null : 'us'))} />
+          </View>
+          {recipe.ingredients.map((ing, i) => (
+            <Text key={i} style={{ color: colors.textSecondary, marginTop: spacing.xs }}>• {displayIngredient(ing, { factor, system: units })}</Text>
+          ))}
+
+          <TouchableOpacity
+            onPress={() => {
+              dispatch({ type: 'addRecipeToShopping', recipe, servings });
+              Alert.alert('Added to shopping list', `${recipe.title} for ${servings} serving${servings > 1 ? 's' : ''}.`);
+            }}
+            style={{ marginTop: spacing.smPlus, alignSelf: 'flex-start' }}>
+            <Text style={styles.link}>🛒 Add to shopping list</Text>
+          </TouchableOpacity>
+
+          <NutritionPanel recipe={recipe} estimate={nutrition} />
+          <CookingLog recipe={recipe} state={state} dispatch={dispatch} />
+
+          <Text style={{ marginTop: spacing.mdPlus, fontWeight: '700', fontSize: type.subtitle }}>Instructions</Text>
+          {getSteps(recipe).map((step, i) => (
+            <Text key={i} style={{ color: colors.textSecondary, marginTop: spacing.xs }}>{i + 1}. {step}</Text>
+          ))}
+          <TouchableOpacity
+            onPress={() => nav.push('CookMode', { recipeId: recipe.id, factor, units })}
+            style={{ marginTop: spacing.md }}>
+            <Text style={{ backgroundColor: colors.warning, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.md, borderRadius: radius.md, fontWeight: '700' }}>👩‍🍳 Start Cook Mode</Text>
+          </TouchableOpacity>
+        </View>
+
+        {!trashed && (
+          <View style={{ flexDirection: 'row', justifyContent: 'center', gap: spacing.xxl, marginBottom: spacing.mdPlus }}>
+            <TouchableOpacity onPress={() => setSharing(true)}>
+              <Text style={styles.link}>📤 Share</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={makeMyVersion}>
+              <Text style={styles.link}>⎘ Make my version</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        {revisionCount > 0 && (
+          <TouchableOpacity onPress={() => nav.push('History', { recipeId: recipe.id })} style={{ alignSelf: 'center', marginBottom: spacing.mdPlus }}>
+            <Text style={styles.link}>🕘 History ({revisionCount} earlier version{revisionCount > 1 ? 's' : ''})</Text>
+          </TouchableOpacity>
+        )}
+        {recipe.owner !== 'sample' && !trashed && (
+          <View style={{ flexDirection: 'row', justifyContent: 'space-around', paddingBottom: spacing.xl }}>
+            <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'edit', recipe })}>
+              <Text style={{ padding: spacing.md, backgroundColor: colors.primary, color: colors.onPrimary, borderRadius: radius.sm }}>Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => {
+                Alert.alert('Move to Trash?', `You can restore it from the Trash for ${TRASH_RETENTION_DAYS} days.`, [
+                  { text: 'Cancel', style: 'cancel' },
+                  {
+                    text: 'Delete', style: 'destructive', onPress: () => {
+                      dispatch({ type: 'delete', id: recipe.id });
+                      nav.pop();
+                    }
+                  }
+                ]);
+              }}
+            >
+              <Text style={{ padding: spacing.md, backgroundColor: colors.danger, color: colors.onAccent, borderRadius: radius.sm }}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+      {sheetOpen && (
+        <CollectionSheet recipe={recipe} collections={state.collections} dispatch={dispatch} onClose={() => setSheetOpen(false)} />
+      )}
+      {sharing && <ShareSheet recipe={recipe} onClose={() => setSharing(false)} />}
+    </SafeAreaView>
+  );
+}
+
+function CookMode({ state, nav, route }) {
+  const { colors, spacing, radius, type } = useTheme();
+  const recipe = getRecipe(state, route.recipeId);
+  const steps = useMemo(() => (recipe ? getSteps(recipe) : []), [recipe]);
+  const [index, setIndex] = useState(0);
+  const [timers, setTimers] = useState([]); // { id, label, step, endsAt, remaining, done }
+  const [now, setNow] = useState(Date.now());
+
+  const ticking = timers.some(t => t.endsAt && !t.done);
+  useEffect(() => {
+    if (!ticking) return undefined;
+    const handle = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(handle);
+  }, [ticking]);
+
+  useEffect(() => {
+    const finished = timers.filter(t => t.endsAt && !t.done && t.endsAt <= now);
+    if (!finished.length) return;
+    const ids = finished.map(t => t.id);
+    setTimers(ts => ts.map(t => (ids.includes(t.id) ? { ...t, done: true } : t)));
+    Vibration.vibrate([0, 500, 300, 500]);
+    Alert.alert('Timer done', finished.map(t => `Step ${t.step + 1}: ${t.label}`).join('\n'));
+  }, [now, timers]);
+
+  if (!recipe) return <MissingRecipe nav={nav} title="Cook Mode" />;
+
+  const step = steps[index] || '';
+  const used = ingredientsInStep(step, recipe.ingredients);
+  const remaining = (t) => (t.endsAt ? t.endsAt - now : t.remaining) / 1000;
+
+  const startTimer = (d) => {
+    setNow(Date.now());
+    setTimers(ts => [...ts, { id: uuid(), label: d.label, step: index, endsAt: Date.now() + d.seconds * 1000, remaining: null, done: false }]);
+  };
+  const togglePause = (id) => setTimers(ts => ts.map(t => {
+    if (t.id !== id || t.done) return t;
+    return t.endsAt
+      ? { ...t, endsAt: null, remaining: t.endsAt - Date.now() }
+      : { ...t, endsAt: Date.now() + t.remaining, remaining: null };
+  }));
+  const removeTimer = (id) => setTimers(ts => ts.filter(t => t.id !== id));
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title={recipe.title} onBack={nav.pop} />
+
+      {timers.length ? (
+        <View style={{ paddingHorizontal: spacing.md }}>
+          {timers.map(t => (
+            <View key={t.id} style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: t.done ? colors.dangerBg : colors.warningBg, borderRadius: radius.md, padding: spacing.smPlus, marginBottom: spacing.xsPlus }}>
+              <Text style={{ flex: 1 }}>Step {t.step + 1} · {t.label}</Text>
+              <Text style={{ fontWeight: '700', fontVariant: ['tabular-nums'], marginRight: spacing.md }}>{t.done ? 'Done!' : formatClock(remaining(t))}</Text>
+              {!t.done && (
+                <TouchableOpacity onPress={() => togglePause(t.id)} style={{ marginRight: spacing.md }}>
+                  <Text>{t.endsAt ? '⏸' : '▶️'}</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => removeTimer(t.id)}>
+                <Text style={{ color: colors.textMuted }}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      ) : null}
+
+      <ScrollView contentContainerStyle={{ padding: spacing.lg }}>
+        <Text style={{ color: colors.textMuted, fontWeight: '600' }}>Step {index + 1} of {steps.length}</Text>
+        <Text style={{ fontSize: type.display, lineHeight: Math.round(type.display * 1.4), marginTop: spacing.sm }}>{step || 'This recipe has no instructions yet.'}</Text>
+
+        <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginTop: spacing.md }}>
+          {findDurations(step).map((d, i) => (
+            <TouchableOpacity key={i} onPress={() => startTimer(d)} style={{ marginRight: spacing.sm, marginBottom: spacing.sm }}>
+              <Text style={{ backgroundColor: colors.warning, color: colors.onAccent, paddingVertical: spacing.sm, paddingHorizontal: spacing.md, borderRadius: radius.pill, fontWeight: '600' }}>⏱ {d.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={{ marginTop: spacing.lg, fontWeight: '700', fontSize: type.subtitle }}>Ingredients</Text>
+        {recipe.ingredients.map((ing, i) => {
+          const active = used.includes(i);
+          return (
+            <Text
+              key={i}
+              style={{
+                marginTop: spacing.xs,
+                color: active ? colors.text : colors.textFaint,
+                fontWeight: active ? '700' : '400',
+                backgroundColor: active ? colors.warningBg : 'transparent',
+              }}>
+              • {displayIngredient(ing, { factor: route.factor || 1, system: route.units })}
+            </Text>
+          );
+        })}
+      </ScrollView>
+
+      <View style={{ flexDirection: 'row', gap: spacing.md, padding: spacing.lg }}>
+        <TouchableOpacity style={{ flex: 1 }} disabled={index === 0} onPress={() => setIndex(i => i - 1)}>
+          <Text style={{ backgroundColor: index === 0 ? colors.chip : colors.primary, color: index === 0 ? colors.textFaint : colors.onPrimary, textAlign: 'center', paddingVertical: spacing.mdPlus, borderRadius: radius.lg, fontWeight: '700' }}>‹ Previous</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={{ flex: 1 }}
+          onPress={() => (index < steps.length - 1 ? setIndex(i => i + 1) : nav.pop())}>
+          <Text style={{ backgroundColor: colors.success, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.mdPlus, borderRadius: radius.lg, fontWeight: '700' }}>
+            {index < steps.length - 1 ? 'Next ›' : 'Done'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+function Collections({ state, dispatch, nav }) {
+  const { colors, styles, spacing } = useTheme();
+  const { selectLiveRecipesById } = useSelectors();
+  const [name, setName] = useState('');
+  const recipesById = selectLiveRecipesById(state);
+
+  const create = () => {
+    if (!name.trim()) return;
+    const id = uuid();
+    dispatch({ type: 'createCollection', collection: { id, name } });
+    setName('');
+    nav.push('Collection', { collectionId: id });
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Collections" onBack={nav.pop} />
+      <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: spacing.md }}>
+        <TextInput
+          style={[styles.input, { flex: 1, backgroundColor: colors.surface }]} value={name} onChangeText={setName}
+          placeholder="New collection, e.g. Holiday baking" onSubmitEditing={create} returnKeyType="done"
+        />
+        <TouchableOpacity onPress={create} style={{ marginLeft: spacing.sm }}>
+          <Text style={styles.button}>Create</Text>
+        </TouchableOpacity>
+      </View>
+      <FlatList
+        data={state.collections}
+        keyExtractor={(c) => c.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        renderItem={({ item: c }) => {
+          const cover = coverFor(c, recipesById);
+          const count = c.recipeIds.filter(id => recipesById[id]).length;
+          return (
+            <Card onPress={() => nav.push('Collection', { collectionId: c.id })}>
+              {cover ? <Image source={{ uri: cover }} style={{ height: 120 }} resizeMode="cover" /> : null}
+              <View style={{ padding: spacing.md }}>
+                <Text style={{ fontWeight: '700' }}>{isBuiltIn(c) ? '♥ ' : ''}{c.name}</Text>
+                <Text style={{ color: colors.textMuted }}>{count} recipe{count === 1 ? '' : 's'}</Text>
+              </View>
+            </Card>
+          );
+        }}
+      />
+    </SafeAreaView>
+  );
+}
+
+function Collection({ state, dispatch, nav, route }) {
+  const { colors, styles, spacing, radius } = useTheme();
+  const { selectLiveRecipesById } = useSelectors();
+  const collection = state.collections.find(c => c.id === route.collectionId);
+  const [servings, setServings] = useState({}); // id => servings chosen for the shopping list
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(collection?.name || '');
+  const recipesById = selectLiveRecipesById(state);
+  const list = useMemo(() => {
+    if (!collection) return [];
+    const recipes = collection.recipeIds.map(id => recipesById[id]).filter(Boolean);
+    const visible = new Set(applyAllergyProfile(recipes, state.allergyProfile));
+    return recipes.filter(r => visible.has(r));
+  }, [collection, recipesById, state.allergyProfile]);
+
+  if (!collection) {
+    return (
+      <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+        <Header title="Collection" onBack={nav.pop} />
+        <Text style={{ padding: spacing.xl, color: colors.textMuted }}>This collection was deleted.</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const builtIn = isBuiltIn(collection);
+  const cover = coverFor(collection, recipesById);
+
+  const saveName = () => {
+    if (name.trim()) dispatch({ type: 'renameCollection', id: collection.id, name });
+    setEditing(false);
+  };
+
+  const pickCover = async () => {
+    const uri = await pickImageUri(collection.id);
+    if (uri) dispatch({ type: 'setCollectionCover', id: collection.id, cover: uri });
+  };
+
+  const remove = () => {
+    Alert.alert(`Delete "${collection.name}"?`, 'The recipes themselves are kept.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete', style: 'destructive', onPress: () => {
+          nav.pop();
+          dispatch({ type: 'deleteCollection', id: collection.id });
+        }
+      },
+    ]);
+  };
+
+  const header = (
+    <View style={{ marginBottom: spacing.md }}>
+      {cover ? <Image source={{ uri: cover }} style={{ height: 140, borderRadius: radius.lg }} resizeMode="cover" /> : null}
+      {!builtIn && (
+        <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: spacing.lg, marginTop: spacing.sm }}>
+          <TouchableOpacity onPress={() => setEditing(true)}><Text style={styles.link}>Rename</Text></TouchableOpacity>
+          <TouchableOpacity onPress={pickCover}><Text style={styles.link}>Change cover</Text></TouchableOpacity>
+          {collection.cover ? (
+            <TouchableOpacity onPress={() => dispatch({ type: 'setCollectionCover', id: collection.id, cover: '' })}>
+              <Text style={{ fontWeight: '600', color: colors.textMuted }}>Use first recipe photo</Text>
+            </TouchableOpacity>
+          ) : null}
+          <TouchableOpacity onPress={remove}><Text style={{ fontWeight: '600', color: colors.danger }}>Delete</Text></TouchableOpacity>
+        </View>
+      )}
+      {editing && (
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.sm }}>
+          <TextInput style={[styles.input, { flex: 1, backgroundColor: colors.surface }]} value={name} onChangeText={setName} autoFocus onSubmitEditing={saveName} />
+          <TouchableOpacity onPress={saveName} style={{ marginLeft: spacing.sm }}>
+            <Text style={styles.button}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title={collection.name} onBack={nav.pop} />
+      <FlatList
+        data={list}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        {...LONG_LIST_PROPS}
+        ListHeaderComponent={header}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>
+            {builtIn ? 'Tap the heart on a recipe to add it here.' : 'Long-press a heart or use "Add to collection" on a recipe to add it here.'}
+          </Text>
+        )}
+        renderItem={({ item, index }) => (
+          <Card onPress={() => nav.push('Details', { recipeId: item.id })}>
+            <RecipeImage uris={imageCandidates(item, state.imageCache, { thumbnail: true })} style={{ height: 160 }} />
+            <View style={{ padding: spacing.md }}>
+              <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <View style={{ flex: 1 }}>
+                  <Text style={{ fontWeight: '700' }}>{unsafeMark(item, state.allergyProfile)}{item.title}</Text>
+                  <Text style={{ color: colors.textMuted }}>{tagLabel(item)}</Text>
+                </View>
+                <TouchableOpacity disabled={index === 0} onPress={() => dispatch({ type: 'moveInCollection', id: collection.id, recipeId: item.id, delta: -1 })} style={{ padding: spacing.sm }}>
+                  <Text style={{ color: index === 0 ? colors.disabled : colors.text }}>↑</Text>
+                </TouchableOpacity>
+                <TouchableOpacity disabled={index === list.length - 1} onPress={() => dispatch({ type: 'moveInCollection', id: collection.id, recipeId: item.id, delta: 1 })} style={{ padding: spacing.sm }}>
+                  <Text style={{ color: index === list.length - 1 ? colors.disabled : colors.text }}>↓</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => dispatch({ type: 'toggleInCollection', id: collection.id, recipeId: item.id })} style={{ padding: spacing.sm }}>
+                  <Text style={{ color: colors.danger }}>✕</Text>
+                </TouchableOpacity>
+              </View>
+              <AllergenBadges recipe={item} profile={state.allergyProfile} />
+              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: spacing.sm }}>
+                <ServingsStepper
+                  value={servings[item.id] || item.servings}
+                  onChange={n => setServings(s => ({ ...s, [item.id]: n }))}
+                />
+                <TouchableOpacity
+                  onPress={() => dispatch({ type: 'addRecipeToShopping', recipe: item, servings: servings[item.id] || item.servings })}>
+                  <Text style={styles.link}>🛒 Add to list</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Card>
+        )}
+      />
+    </SafeAreaView>
+  );
+}
+
+function ShoppingList({ state, dispatch, nav }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const [text, setText] = useState('');
+  const sections = useMemo(() => groupByAisle(state.shopping), [state.shopping]);
+  const hasChecked = state.shopping.some(i => i.checked);
+
+  const addItem = () => {
+    if (!text.trim()) return;
+    dispatch({ type: 'addShoppingItem', text });
+    setText('');
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Shopping List" onBack={nav.pop} />
+      <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: spacing.md }}>
+        <TextInput
+          style={[styles.input, { flex: 1, backgroundColor: colors.surface }]} value={text} onChangeText={setText}
+          placeholder="Add an item, e.g. 2 lemons" onSubmitEditing={addItem} returnKeyType="done"
+        />
+        <TouchableOpacity onPress={addItem} style={{ marginLeft: spacing.sm }}>
+          <Text style={styles.button}>Add</Text>
+        </TouchableOpacity>
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>Your list is empty. Add recipes from their details page.</Text>
+        )}
+        renderSectionHeader={({ section }) => (
+          <Text style={{ fontWeight: '700', marginTop: spacing.md, marginBottom: spacing.xs }}>{section.title}</Text>
+        )}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            onPress={() => dispatch({ type: 'toggleShoppingItem', id: item.id })}
+            style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginBottom: spacing.xsPlus }}>
+            <Text style={{ fontSize: type.title, marginRight: spacing.smPlus }}>{item.checked ? '☑' : '☐'}</Text>
+            <View style={{ flex: 1 }}>
+              <Text style={{ fontWeight: '600', color: item.checked ? colors.textFaint : colors.text, textDecorationLine: item.checked ? 'line-through' : 'none' }}>
+                {item.name}{item.amounts.length ? ` — ${formatAmounts(item)}` : ''}
+              </Text>
+              {item.sources.length ? (
+                <Text style={{ color: colors.textMuted, fontSize: type.caption, marginTop: spacing.xxs }}>{item.sources.join(', ')}</Text>
+              ) : null}
+            </View>
+          </TouchableOpacity>
+        )}
+      />
+
+      {hasChecked && (
+        <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.lg }}>
+          <TouchableOpacity onPress={() => dispatch({ type: 'clearCheckedShopping' })}>
+            <Text style={{ backgroundColor: colors.danger, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.md, borderRadius: radius.md, fontWeight: '700' }}>Clear checked</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function expiryLabel(item, today) {
+  const days = daysUntilExpiry(item, today);
+  if (days == null) return '';
+  if (days < 0) return 'expired';
+  if (days === 0) return 'expires today';
+  return days === 1 ? 'expires tomorrow' : `expires in ${days} days`;
+}
+
+function Pantry({ state, dispatch, nav }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const [text, setText] = useState('');
+  const [expires, setExpires] = useState('');
+  const today = toISODate(new Date());
+  const items = useMemo(() => sortPantry(state.pantry), [state.pantry]);
+
+  const addItem = () => {
+    if (!text.trim()) return;
+    if (expires && !ISO_DATE_RE.test(expires.trim())) {
+      Alert.alert('Check the date', 'Enter the expiry date as YYYY-MM-DD, or leave it empty.');
+      return;
+    }
+    dispatch({ type: 'addPantryItem', text, expires: expires.trim() });
+    setText('');
+    setExpires('');
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Pantry" onBack={nav.pop} />
+      <View style={{ paddingHorizontal: spacing.md }}>
+        <TextInput
+          style={[styles.input, { backgroundColor: colors.surface }]} value={text} onChangeText={setText}
+          placeholder="What do you have? e.g. 3 eggs" returnKeyType="next"
+        />
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.sm }}>
+          <TextInput
+            style={[styles.input, { flex: 1, backgroundColor: colors.surface }]} value={expires} onChangeText={setExpires}
+            placeholder="Expires (YYYY-MM-DD, optional)" onSubmitEditing={addItem} returnKeyType="done"
+          />
+          <TouchableOpacity onPress={addItem} style={{ marginLeft: spacing.sm }}>
+            <Text style={styles.button}>Add</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <FlatList
+        data={items}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>Your pantry is empty. Add what you have on hand to find recipes you can cook.</Text>
+        )}
+        renderItem={({ item }) => {
+          const soon = isExpiringSoon(item, today);
+          return (
+            <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginBottom: spacing.xsPlus }}>
+              <View style={{ flex: 1 }}>
+                <Text style={{ fontWeight: '600' }}>{item.name}{item.quantity != null ? ` — ${formatPantryAmount(item)}` : ''}</Text>
+                {item.expires ? (
+                  <Text style={{ color: soon ? colors.dangerText : colors.textMuted, fontSize: type.caption, marginTop: spacing.xxs }}>
+                    {item.expires} · {expiryLabel(item, today)}
+                  </Text>
+                ) : null}
+              </View>
+              {item.expires ? (
+                <TouchableOpacity onPress={() => dispatch({ type: 'setPantryExpiry', id: item.id, expires: '' })} style={{ marginRight: spacing.md }}>
+                  <Text style={{ color: colors.textMuted, fontSize: type.caption }}>No date</Text>
+                </TouchableOpacity>
+              ) : null}
+              <TouchableOpacity onPress={() => dispatch({ type: 'removePantryItem', id: item.id })}>
+                <Text style={{ fontSize: type.title, color: colors.danger }}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          );
+        }}
+      />
+
+      {state.pantry.length ? (
+        <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.lg }}>
+          <TouchableOpacity onPress={() => nav.push('CookFromPantry')}>
+            <Text style={{ backgroundColor: colors.success, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.md, borderRadius: radius.md, fontWeight: '700' }}>
+              🍳 Cook with what I have
+            </Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+    </SafeAreaView>
+  );
+}
+
+function CookFromPantry({ state, dispatch, nav }) {
+  const { colors, styles, spacing } = useTheme();
+  const { selectVisibleRecipes } = useSelectors();
+  const today = toISODate(new Date());
+  const visible = selectVisibleRecipes(state);
+  const matches = useMemo(
+    () => rankByPantry(visible, state.pantry, today),
+    [visible, state.pantry, today]
+  );
+
+  const addMissing = (match) => {
+    match.missing.forEach(ing => dispatch({ type: 'addShoppingItem', text: ing.text }));
+    Alert.alert('Added to shopping list', `${match.missing.length} missing item(s) from ${match.recipe.title}.`);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Cook with what I have" onBack={nav.pop} />
+      <FlatList
+        data={matches}
+        keyExtractor={(m) => m.recipe.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>No recipe uses anything in your pantry yet.</Text>
+        )}
+        renderItem={({ item: m }) => (
+          <Card onPress={() => nav.push('Details', { recipeId: m.recipe.id })}>
+            <View style={{ padding: spacing.md }}>
+              <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+                <Text style={{ fontWeight: '700', flex: 1 }}>{unsafeMark(m.recipe, state.allergyProfile)}{m.recipe.title}</Text>
+                <Text style={{ fontWeight: '700', color: m.missing.length ? colors.text : colors.successText }}>{Math.round(m.coverage * 100)}%</Text>
+              </View>
+              <Text style={{ color: colors.textMuted, marginTop: spacing.xxs }}>
+                You have {m.have.length} of {m.have.length + m.missing.length} ingredients
+              </Text>
+              {m.expiring.length ? (
+                <Text style={{ color: colors.dangerText, marginTop: spacing.xs }}>Uses soon-to-expire: {m.expiring.map(i => i.name).join(', ')}</Text>
+              ) : null}
+              {m.missing.length ? (
+                <>
+                  <Text style={{ marginTop: spacing.xsPlus }}>Missing: {m.missing.map(i => i.item).join(', ')}</Text>
+                  <TouchableOpacity onPress={() => addMissing(m)} style={{ marginTop: spacing.sm, alignSelf: 'flex-start' }}>
+                    <Text style={styles.link}>🛒 Add missing to list</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <Text style={{ marginTop: spacing.xsPlus, color: colors.successText, fontWeight: '600' }}>You have everything!</Text>
+              )}
+            </View>
+          </Card>
+        )}
+      />
+    </SafeAreaView>
+  );
+}
+
+function Categories({ state, dispatch, nav }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const { selectRecipes } = useSelectors();
+  const [name, setName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { from, to } while a name is being edited
+  const [deleting, setDeleting] = useState(null); // category whose recipes need a new home
+  const recipes = selectRecipes(state);
+  const counts = useMemo(() => categoryCounts(recipes), [recipes]);
+
+  const add = () => {
+    const error = validateCategoryName(state.categories, name);
+    if (error) return Alert.alert("Can't add category", error);
+    dispatch({ type: 'addCategory', name });
+    setName('');
+  };
+
+  const rename = () => {
+    const error = validateCategoryName(state.categories, renaming.to, renaming.from);
+    if (error) return Alert.alert("Can't rename category", error);
+    if (renaming.to.trim() !== renaming.from) dispatch({ type: 'renameCategory', from: renaming.from, to: renaming.to });
+    setRenaming(null);
+  };
+
+  const remove = (c) => {
+    if (counts[c]) return setDeleting(c);
+    Alert.alert(`Delete "${c}"?`, undefined, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => dispatch({ type: 'deleteCategory', name: c, reassignTo: null }) },
+    ]);
+  };
+
+  const finishDelete = (reassignTo) => {
+    dispatch({ type: 'deleteCategory', name: deleting, reassignTo });
+    setDeleting(null);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Categories" onBack={nav.pop} />
+      <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: spacing.md }}>
+        <TextInput
+          style={[styles.input, { flex: 1, backgroundColor: colors.surface }]} value={name} onChangeText={setName}
+          placeholder="New category, e.g. Meal prep" onSubmitEditing={add} returnKeyType="done"
+        />
+        <TouchableOpacity onPress={add} style={{ marginLeft: spacing.sm }}>
+          <Text style={styles.button}>Add</Text>
+        </TouchableOpacity>
+      </View>
+
+      {deleting && (
+        <View style={{ margin: spacing.md, backgroundColor: colors.warningBg, borderRadius: radius.md, padding: spacing.md }}>
+          <Text style={{ fontWeight: '700' }}>Delete "{deleting}"</Text>
+          <Text style={{ marginTop: spacing.xs }}>
+            {counts[deleting]} recipe{counts[deleting] === 1 ? ' is' : 's are'} tagged {deleting}. Move {counts[deleting] === 1 ? 'it' : 'them'} to:
+          </Text>
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap', rowGap: spacing.sm, marginTop: spacing.sm }}>
+            {state.categories.filter(c => c !== deleting).map(c => (
+              <Pill key={c} label={c} onPress={() => finishDelete(c)} />
+            ))}
+          </View>
+          <View style={{ flexDirection: 'row', gap: spacing.lg, marginTop: spacing.smPlus }}>
+            <TouchableOpacity onPress={() => finishDelete(null)}>
+              <Text style={{ color: colors.dangerText, fontWeight: '600' }}>Just remove the tag</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setDeleting(null)}>
+              <Text style={{ fontWeight: '600' }}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <FlatList
+        data={state.categories}
+        keyExtractor={(c) => c}
+        contentContainerStyle={{ padding: spacing.md }}
+        keyboardShouldPersistTaps="handled"
+        renderItem={({ item: c, index }) => (
+          <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.smPlus, marginBottom: spacing.xsPlus }}>
+            {renaming?.from === c ? (
+              <TextInput
+                style={[styles.input, { flex: 1 }]} value={renaming.to} autoFocus
+                onChangeText={to => setRenaming(r => ({ ...r, to }))} onSubmitEditing={rename} onBlur={() => setRenaming(null)}
+              />
+            ) : (
+              <TouchableOpacity onPress={() => setRenaming({ from: c, to: c })} style={{ flex: 1 }}>
+                <Text style={{ fontWeight: '600' }}>{c}</Text>
+                <Text style={{ color: colors.textMuted, fontSize: type.caption }}>{counts[c] || 0} recipe{counts[c] === 1 ? '' : 's'} · tap to rename</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity disabled={index === 0} onPress={() => dispatch({ type: 'moveCategory', name: c, delta: -1 })} style={{ padding: spacing.sm }}>
+              <Text style={{ color: index === 0 ? colors.disabled : colors.text }}>↑</Text>
+            </TouchableOpacity>
+            <TouchableOpacity disabled={index === state.categories.length - 1} onPress={() => dispatch({ type: 'moveCategory', name: c, delta: 1 })} style={{ padding: spacing.sm }}>
+              <Text style={{ color: index === state.categories.length - 1 ? colors.disabled : colors.text }}>↓</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => remove(c)} style={{ padding: spacing.sm }}>
+              <Text style={{ color: colors.danger }}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      />
+    </SafeAreaView>
+  );
+}
+
+function Allergies({ state, dispatch, nav }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const profile = state.allergyProfile;
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Allergies" onBack={nav.pop} />
+      <ScrollView contentContainerStyle={{ padding: spacing.md }}>
+        <Text style={{ color: colors.textMuted }}>
+          Pick what your household avoids. Recipes are checked against their ingredients, so double-check labels of packaged foods.
+        </Text>
+        {ALLERGENS.map(a => {
+          const on = profile.allergens.includes(a.key);
+          return (
+            <TouchableOpacity
+              key={a.key}
+              onPress={() => dispatch({ type: 'toggleAllergen', key: a.key })}
+              style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginTop: spacing.xsPlus }}>
+              <Text style={{ fontSize: type.title, marginRight: spacing.smPlus }}>{on ? '☑' : '☐'}</Text>
+              <Text style={{ fontWeight: '600' }}>{a.icon} {a.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        <Text style={styles.label}>Recipes with these allergens</Text>
+        <View style={{ flexDirection: 'row' }}>
+          {ALLERGY_MODES.map(m => (
+            <Pill key={m.key} label={m.label} active={profile.mode === m.key} onPress={() => dispatch({ type: 'setAllergyMode', mode: m.key })} />
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function Appearance({ state, dispatch, nav }) {
+  const { colors, outline, spacing, radius, type } = useTheme();
+  const systemScheme = useColorScheme();
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Appearance" onBack={nav.pop} />
+      <ScrollView contentContainerStyle={{ padding: spacing.md }}>
+        {THEME_MODES.map(m => {
+          const on = state.themeMode === m.key;
+          return (
+            <TouchableOpacity
+              key={m.key}
+              onPress={() => dispatch({ type: 'setThemeMode', mode: m.key })}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: on }}
+              style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginTop: spacing.xsPlus, ...outline }}>
+              <Text style={{ fontSize: type.title, marginRight: spacing.smPlus }}>{on ? '◉' : '○'}</Text>
+              <View style={{ flex: 1 }}>
+                <Text style={{ fontWeight: '600' }}>{m.label}</Text>
+                {m.key === 'system' ? (
+                  <Text style={{ color: colors.textMuted, marginTop: spacing.xxs }}>
+                    Follows your phone's setting{systemScheme ? ` (now ${systemScheme})` : ''}
+                  </Text>
+                ) : null}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function Sync({ state, dispatch, nav, sync }) {
+  const { colors, styles, spacing, radius } = useTheme();
+  const { serverUrl, pending, tombstones, conflicts, lastSyncedAt } = state.sync;
+  const [url, setUrl] = useState(serverUrl);
+  const [open, setOpen] = useState(null); // conflict id whose diff is shown
+  const queued = pending.length + Object.keys(tombstones).length;
+
+  const connect = () => {
+    try {
+      dispatch({ type: 'enableSync', serverUrl: normalizeServerUrl(url), deviceId: uuid() });
+    } catch (e) {
+      Alert.alert('Check the address', e.message);
+    }
+  };
+  const disconnect = () => Alert.alert('Turn off sync?', 'Recipes stay on this device. Turning it on again sends all of them.', [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Turn off', style: 'destructive', onPress: () => dispatch({ type: 'disableSync' }) },
+  ]);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Sync" onBack={nav.pop} />
+      <ScrollView contentContainerStyle={{ padding: spacing.md }} keyboardShouldPersistTaps="handled">
+        <Text style={{ color: colors.textMuted }}>
+          Share your recipes with the other phones in your household through your own Foodie sync server. Sample recipes aren't synced.
+        </Text>
+        <Text style={styles.label}>Server address</Text>
+        <TextInput
+          style={[styles.input, { backgroundColor: colors.surface }]} value={url} onChangeText={setUrl} editable={!serverUrl}
+          placeholder="http://192.168.1.20:8787" autoCapitalize="none" autoCorrect={false} keyboardType="url"
+        />
+        {serverUrl ? (
+          <>
+            <Text style={{ marginTop: spacing.smPlus }}>
+              {sync.running ? 'Syncing…' : lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}` : 'Not synced yet'}
+              {queued ? ` · ${queued} change${queued > 1 ? 's' : ''} waiting` : ''}
+            </Text>
+            {sync.error ? <Text style={{ color: colors.dangerText, marginTop: spacing.xs }}>{sync.error}</Text> : null}
+            <View style={{ flexDirection: 'row', gap: spacing.lg, marginTop: spacing.smPlus }}>
+              <TouchableOpacity onPress={sync.run} disabled={sync.running}>
+                <Text style={[styles.button, sync.running && { backgroundColor: colors.disabled, color: colors.onAccent }]}>Sync now</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={disconnect}>
+                <Text style={{ paddingVertical: spacing.smPlus, fontWeight: '600', color: colors.danger }}>Turn off sync</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        ) : (
+          <TouchableOpacity onPress={connect} style={{ alignSelf: 'flex-start', marginTop: spacing.smPlus }}>
+            <Text style={styles.button}>Turn on sync</Text>
+          </TouchableOpacity>
+        )}
+
+        {conflicts.length > 0 && <Text style={[styles.label, { marginTop: spacing.xl }]}>Changed on two devices ({conflicts.length})</Text>}
+        {conflicts.map(c => {
+          const current = getRecipe(state, c.recipeId);
+          const other = c.other.deleted ? null : c.other.recipe;
+          return (
+            <View key={c.id} style={{ backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginTop: spacing.xsPlus }}>
+              <TouchableOpacity onPress={() => setOpen(o => (o === c.id ? null : c.id))}>
+                <Text style={{ fontWeight: '700' }}>{c.title}</Text>
+                <Text style={{ color: colors.textMuted, marginTop: spacing.xxs }}>
+                  Kept the {c.kept === 'server' ? "other device's" : "this device's"} version. The {c.kept === 'server' ? 'one from this device' : 'other one'}
+                  {other ? ` (${new Date(c.other.updatedAt).toLocaleString()}) was set aside.` : ' deleted the recipe.'} {open === c.id ? '▴' : '▾'}
+                </Text>
+              </TouchableOpacity>
+              {open === c.id && current && other ? <DiffList diff={diffRecipes(current, other)} /> : null}
+              <View style={{ flexDirection: 'row', gap: spacing.lg, marginTop: spacing.sm }}>
+                <TouchableOpacity onPress={() => dispatch({ type: 'useConflictVersion', id: c.id })}>
+                  <Text style={styles.link}>{other ? 'Use that version' : 'Move to Trash'}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => dispatch({ type: 'dismissConflict', id: c.id })}>
+                  <Text style={{ fontWeight: '600', color: colors.textMuted }}>Keep as is</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function MealPlan({ state, dispatch, nav }) {
+  const { colors, spacing, radius, type } = useTheme();
+  const { selectLiveRecipes } = useSelectors();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek());
+  const [picking, setPicking] = useState(null); // { date, slot } while the recipe picker is open
+  const live = selectLiveRecipes(state);
+  const recipesById = useMemo(() => Object.fromEntries(live.map(r => [r.id, r])), [live]);
+  const days = weekDates(weekStart);
+
+  const pick = (recipe) => {
+    dispatch({ type: 'planMeal', entry: { id: uuid(), ...picking, recipeId: recipe.id, servings: recipe.servings } });
+    setPicking(null);
+  };
+
+  const exportWeek = () => {
+    Share.share({ message: weekToText(state.mealPlan, recipesById, weekStart) }).catch(() => {});
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Meal Plan" onBack={nav.pop} />
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: spacing.md }}>
+        <TouchableOpacity onPress={() => setWeekStart(w => addDays(w, -7))} style={{ padding: spacing.xsPlus }}>
+          <Text style={{ fontSize: type.title }}>‹</Text>
+        </TouchableOpacity>
+        <View style={{ alignItems: 'center' }}>
+          <Text style={{ fontWeight: '700' }}>Week of {formatDay(weekStart)}</Text>
+          <Text style={{ color: colors.textMuted }}>{Math.round(weekCalories(state.mealPlan, recipesById, weekStart))} kcal this week</Text>
+        </View>
+        <TouchableOpacity onPress={() => setWeekStart(w => addDays(w, 7))} style={{ padding: spacing.xsPlus }}>
+          <Text style={{ fontSize: type.title }}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ flexGrow: 0, paddingHorizontal: spacing.md, marginTop: spacing.sm }}>
+        <Pill label="Copy last week" onPress={() => dispatch({ type: 'copyPlanWeek', from: addDays(weekStart, -7), to: weekStart })} />
+        <Pill
+          label="🛒 Add week to list"
+          onPress={() => {
+            dispatch({ type: 'addPlanWeekToShopping', weekStart });
+            Alert.alert('Added to shopping list', 'All planned meals for this week were added.');
+          }}
+        />
+        <Pill label="Export as text" onPress={exportWeek} />
+      </ScrollView>
+
+      <ScrollView contentContainerStyle={{ padding: spacing.md }}>
+        {days.map(date => (
+          <View key={date} style={{ backgroundColor: colors.surface, borderRadius: radius.card, padding: spacing.md, marginBottom: spacing.md }}>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+              <Text style={{ fontWeight: '700' }}>{formatDay(date)}</Text>
+              <Text style={{ color: colors.textMuted }}>{Math.round(dayCalories(state.mealPlan, recipesById, date))} kcal</Text>
+            </View>
+            {MEAL_SLOTS.map(slot => (
+              <View key={slot} style={{ marginTop: spacing.sm }}>
+                <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Text style={{ color: colors.textMuted, fontWeight: '600' }}>{SLOT_LABELS[slot]}</Text>
+                  <TouchableOpacity onPress={() => setPicking({ date, slot })}>
+                    <Text style={{ color: colors.link, fontWeight: '600' }}>＋ Add</Text>
+                  </TouchableOpacity>
+                </View>
+                {state.mealPlan.filter(e => e.date === date && e.slot === slot).map(e => (
+                  <View key={e.id} style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.xsPlus }}>
+                    {e.deletedTitle ? (
+                      <Text style={{ flex: 1, color: colors.danger, textDecorationLine: 'line-through' }}>{e.deletedTitle} (deleted)</Text>
+                    ) : (
+                      <>
+                        <TouchableOpacity style={{ flex: 1 }} onPress={() => nav.push('Details', { recipeId: e.recipeId })}>
+                          <Text>{recipesById[e.recipeId]?.title}</Text>
+                        </TouchableOpacity>
+                        <ServingsStepper value={e.servings} onChange={n => dispatch({ type: 'setPlannedServings', id: e.id, servings: n })} />
+                      </>
+                    )}
+                    <TouchableOpacity onPress={() => dispatch({ type: 'unplanMeal', id: e.id })} style={{ paddingLeft: spacing.smPlus }}>
+                      <Text style={{ color: colors.textMuted }}>✕</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </View>
+            ))}
+          </View>
+        ))}
+      </ScrollView>
+
+      <Modal visible={!!picking} animationType="slide" onRequestClose={() => setPicking(null)}>
+        <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+          <Header
+            title={picking ? `${SLOT_LABELS[picking.slot]} · ${formatDay(picking.date)}` : ''}
+            onBack={() => setPicking(null)}
+          />
+          <FlatList
+            data={applyAllergyProfile(live, state.allergyProfile)}
+            keyExtractor={(item) => item.id}
+            contentContainerStyle={{ padding: spacing.md }}
+            renderItem={({ item }) => (
+              <TouchableOpacity onPress={() => pick(item)} style={{ backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginBottom: spacing.xsPlus }}>
+                <Text style={{ fontWeight: '700' }}>{unsafeMark(item, state.allergyProfile)}{item.title}</Text>
+                <Text style={{ color: colors.textMuted }}>{tagLabel(item)} · {item.calories} kcal/serving</Text>
+              </TouchableOpacity>
+            )}
+          />
+        </SafeAreaView>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+function MyFood({ state, nav }) {
+  const { colors, spacing, radius } = useTheme();
+  const { selectMyRecipes, selectTrashedRecipes } = useSelectors();
+  const mine = selectMyRecipes(state);
+  const trashCount = selectTrashedRecipes(state).length;
+  const [selected, setSelected] = useState(null); // null = not exporting, else id => true
+  const [format, setFormat] = useState('bundle');
+
+  const toggleSelected = (id) => setSelected(s => {
+    const next = { ...s };
+    if (next[id]) delete next[id];
+    else next[id] = true;
+    return next;
+  });
+
+  const exportRecipes = () => {
+    const chosen = mine.filter(r => selected[r.id]);
+    const list = chosen.length ? chosen : mine;
+    if (!list.length) return Alert.alert('Nothing to export', 'Add a recipe to "My Food" first.');
+    Share.share({ title: 'Foodie recipes', message: EXPORT_FORMATS[format].serialize(list) }).catch(() => {});
+    setSelected(null);
+  };
+
+  const selectedCount = selected ? Object.keys(selected).length : 0;
+  const rowLayout = useMemo(() => fixedLayout(MY_FOOD_ROW.image + MY_FOOD_ROW.body + spacing.md, spacing.md), [spacing.md]);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="My Food" onBack={nav.pop} />
+      <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.sm, flexDirection: 'row', gap: spacing.sm }}>
+        <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'add' })}>
+          <Text style={{ backgroundColor: colors.success, color: colors.onAccent, alignSelf: 'flex-start', paddingVertical: spacing.smPlus, paddingHorizontal: spacing.mdPlus, borderRadius: radius.md }}>
+            {state.draft ? '✎ Continue Draft' : '＋ Add New Recipe'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('ImportRecipes')}>
+          <Text style={{ backgroundColor: colors.chip, color: colors.text, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.mdPlus, borderRadius: radius.md }}>Import</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setSelected(s => (s ? null : {}))}>
+          <Text style={{ backgroundColor: selected ? colors.primary : colors.chip, color: selected ? colors.onPrimary : colors.text, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.mdPlus, borderRadius: radius.md }}>Export</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => nav.push('Trash')}>
+          <Text style={{ backgroundColor: colors.chip, color: colors.text, paddingVertical: spacing.smPlus, paddingHorizontal: spacing.mdPlus, borderRadius: radius.md }}>🗑{trashCount ? ` ${trashCount}` : ''}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {selected && (
+        <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.sm }}>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+              <Pill key={key} label={f.label} active={format === key} onPress={() => setFormat(key)} />
+            ))}
+          </ScrollView>
+          <TouchableOpacity onPress={exportRecipes} style={{ marginTop: spacing.sm }}>
+            <Text style={{ backgroundColor: colors.accent, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.smPlus, borderRadius: radius.md, fontWeight: '700' }}>
+              {selectedCount ? `Share ${selectedCount} selected` : `Share all ${mine.length}`}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <FlatList
+        data={mine}
+        keyExtractor={(item) => item.id}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>No recipes yet. Tap "Add New Recipe" to begin.</Text>
+        )}
+        contentContainerStyle={{ padding: spacing.md }}
+        {...LONG_LIST_PROPS}
+        getItemLayout={rowLayout}
+        renderItem={({ item }) => (
+          <Card onPress={() => (selected ? toggleSelected(item.id) : nav.push('Details', { recipeId: item.id }))}>
+            <RecipeImage uris={imageCandidates(item, state.imageCache, { thumbnail: true })} style={{ height: MY_FOOD_ROW.image }} />
+            <View style={{ height: MY_FOOD_ROW.body, padding: spacing.md, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', overflow: 'hidden' }}>
+              <View style={{ flex: 1, marginRight: spacing.sm }}>
+                <Text numberOfLines={1} style={{ fontWeight: '700' }}>{selected ? (selected[item.id] ? '☑ ' : '☐ ') : ''}{item.title}</Text>
+                <Text numberOfLines={1} style={{ color: colors.textMuted }}>{tagLabel(item)}</Text>
+              </View>
+              <View style={{ flexDirection: 'row', gap: spacing.sm }}>
+                <TouchableOpacity onPress={() => nav.push('AddEdit', { mode: 'edit', recipe: item })}>
+                  <Text style={{ paddingVertical: spacing.sm, paddingHorizontal: spacing.smPlus, backgroundColor: colors.primary, color: colors.onPrimary, borderRadius: radius.sm }}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => nav.push('Details', { recipeId: item.id })}>
+                  <Text style={{ paddingVertical: spacing.sm, paddingHorizontal: spacing.smPlus, backgroundColor: colors.accent, color: colors.onAccent, borderRadius: radius.sm }}>Open</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Card>
+        )}
+      />
+    </SafeAreaView>
+  );
+}
+
+function Trash({ state, dispatch, nav }) {
+  const { colors, spacing, radius } = useTheme();
+  const { selectTrashedRecipes } = useSelectors();
+  const trashed = selectTrashedRecipes(state);
+  const now = Date.now();
+
+  const purge = (ids, message) => {
+    Alert.alert('Delete forever?', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => dispatch({ type: 'purge', ids }) },
+    ]);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title="Trash" onBack={nav.pop} />
+      <Text style={{ paddingHorizontal: spacing.md, color: colors.textMuted }}>
+        Recipes are deleted forever {TRASH_RETENTION_DAYS} days after being moved here.
+      </Text>
+      <FlatList
+        data={trashed}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        ListEmptyComponent={() => (
+          <Text style={{ padding: spacing.xl, color: colors.textMuted }}>The Trash is empty.</Text>
+        )}
+        renderItem={({ item }) => (
+          <View style={{ backgroundColor: colors.surface, borderRadius: radius.card, padding: spacing.md, marginBottom: spacing.smPlus }}>
+            <Text style={{ fontWeight: '700' }}>{item.title}</Text>
+            <Text style={{ color: colors.textMuted, marginTop: spacing.xxs }}>
+              {tagLabel(item)} · deleted forever in {daysUntilPurge(item, now)} day{daysUntilPurge(item, now) === 1 ? '' : 's'}
+            </Text>
+            <View style={{ flexDirection: 'row', gap: spacing.sm, marginTop: spacing.sm }}>
+              <TouchableOpacity onPress={() => dispatch({ type: 'restore', id: item.id })}>
+                <Text style={{ paddingVertical: spacing.sm, paddingHorizontal: spacing.smPlus, backgroundColor: colors.success, color: colors.onAccent, borderRadius: radius.sm }}>Restore</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => purge([item.id], `"${item.title}" will be permanently deleted.`)}>
+                <Text style={{ paddingVertical: spacing.sm, paddingHorizontal: spacing.smPlus, backgroundColor: colors.danger, color: colors.onAccent, borderRadius: radius.sm }}>Delete forever</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      />
+      {trashed.length ? (
+        <View style={{ paddingHorizontal: spacing.md, paddingBottom: spacing.lg }}>
+          <TouchableOpacity onPress={() => purge(trashed.map(r => r.id), `${trashed.length} recipe(s) will be permanently deleted.`)}>
+            <Text style={{ backgroundColor: colors.danger, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.md, borderRadius: radius.md, fontWeight: '700' }}>Empty Trash</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+    </SafeAreaView>
+  );
+}
+
+// Preview of a recipe opened from a foodie://import link; nothing is saved until the user confirms.
+function SharedRecipe({ dispatch, nav, route }) {
+  const { colors, spacing, radius, type } = useTheme();
+  const decoded = useMemo(() => {
+    try {
+      return { recipe: decodeSharePayload(route.data) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [route.data]);
+
+  if (decoded.error) {
+    return (
+      <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+        <Header title="Shared recipe" onBack={nav.pop} />
+        <Text style={{ padding: spacing.xl, color: colors.dangerText }}>{decoded.error}</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const { recipe } = decoded;
+  const save = () => {
+    const id = uuid();
+    dispatch({ type: 'importRecipes', add: [{ ...recipe, id, owner: 'me', createdAt: Date.now() }], replace: [] });
+    nav.restore([{ name: 'Feed' }, { name: 'MyFood' }, { name: 'Details', params: { recipeId: id } }]);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title="Shared recipe" onBack={nav.pop} />
+      <ScrollView contentContainerStyle={{ padding: spacing.mdPlus }}>
+        {recipe.image ? <RecipeImage uris={[recipe.image]} style={{ height: 200, borderRadius: radius.lg, marginBottom: spacing.smPlus }} /> : null}
+        <Text style={{ fontSize: type.heading, fontWeight: '700' }}>{recipe.title}</Text>
+        <Text style={{ color: colors.textMuted, marginTop: spacing.xs }}>
+          {[recipe.tags.join(', '), recipe.prepTime, `Serves ${recipe.servings}`, recipe.calories ? `${recipe.calories} kcal` : '', recipe.difficulty].filter(Boolean).join(' · ')}
+        </Text>
+        <Text style={{ marginTop: spacing.mdPlus, fontWeight: '700', fontSize: type.subtitle }}>Ingredients</Text>
+        {recipe.ingredients.map((ing, i) => <Text key={i} style={{ color: colors.textSecondary, marginTop: spacing.xs }}>• {ing.text}</Text>)}
+        <Text style={{ marginTop: spacing.mdPlus, fontWeight: '700', fontSize: type.subtitle }}>Instructions</Text>
+        {recipe.steps.map((step, i) => <Text key={i} style={{ color: colors.textSecondary, marginTop: spacing.xs }}>{i + 1}. {step}</Text>)}
+        <TouchableOpacity onPress={save} style={{ marginTop: spacing.lg }}>
+          <Text style={{ backgroundColor: colors.success, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.mdPlus, borderRadius: radius.lg, fontWeight: '700' }}>Save to My Food</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function ImportRecipes({ state, dispatch, nav }) {
+  const { colors, styles, spacing, radius } = useTheme();
+  const [text, setText] = useState('');
+  const [strategy, setStrategy] = useState('skip');
+  const parsed = useMemo(() => (text.trim() ? parseImport(text) : null), [text]);
+  const valid = parsed ? parsed.entries.filter(e => e.recipe).map(e => e.recipe) : [];
+
+  const runImport = () => {
+    const { add, replace, skipped } = resolveImport(selectRecipes(state), valid, strategy, uuid);
+    dispatch({ type: 'importRecipes', add, replace });
+    const failed = parsed.entries.length - valid.length;
+    Alert.alert(
+      'Import finished',
+      [`${add.length} added`, `${replace.length} replaced`, `${skipped.length} skipped`, failed ? `${failed} invalid` : null].filter(Boolean).join(', ')
+    );
+    nav.pop();
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title="Import Recipes" onBack={nav.pop} />
+      <ScrollView contentContainerStyle={{ padding: spacing.mdPlus }}>
+        <Text style={styles.label}>Paste a Foodie JSON bundle or schema.org Recipe JSON-LD</Text>
+        <TextInput
+          style={[styles.input, { height: 160, fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace' }]}
+          multiline value={text} onChangeText={setText} autoCapitalize="none" autoCorrect={false}
+          placeholder={'{ "format": "foodie-bundle", … }'}
+        />
+
+        <Text style={styles.label}>When a recipe already exists</Text>
+        <View style={{ flexDirection: 'row' }}>
+          {COLLISION_STRATEGIES.map(s => (
+            <Pill key={s.key} label={s.label} active={strategy === s.key} onPress={() => setStrategy(s.key)} />
+          ))}
+        </View>
+        {strategy === 'replace' ? (
+          <Text style={{ color: colors.textMuted, marginTop: spacing.xs }}>Only your own recipes are replaced; samples and recipes in the Trash are kept as copies.</Text>
+        ) : null}
+
+        {parsed?.error ? <Text style={{ color: colors.danger, marginTop: spacing.md }}>{parsed.error}</Text> : null}
+        {parsed?.entries.map((e, i) => (
+          <Text key={i} style={{ marginTop: spacing.xsPlus, color: e.error ? colors.danger : colors.textSecondary }}>
+            {e.error
+              ? `✗ ${e.error}`
+              : `✓ ${e.recipe.title}${e.recipe.id && getRecipe(state, e.recipe.id) ? ' — already in your recipes' : ''}`}
+          </Text>
+        ))}
+
+        <TouchableOpacity onPress={runImport} disabled={!valid.length} style={{ marginTop: spacing.mdPlus }}>
+          <Text style={{ backgroundColor: valid.length ? colors.success : colors.disabled, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.mdPlus, borderRadius: radius.lg, fontWeight: '700' }}>
+            Import {valid.length} recipe{valid.length === 1 ? '' : 's'}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function DiffList({ diff }) {
+  const { colors, spacing } = useTheme();
+  const line = (prefix, color) => (text, i) => <Text key={`${prefix}${i}`} style={{ color, marginTop: spacing.xxs }}>{prefix} {text}</Text>;
+  return (
+    <View style={{ marginTop: spacing.xsPlus }}>
+      {diff.fields.map(f => (
+        <Text key={f.key} style={{ color: colors.textSecondary, marginTop: spacing.xxs }}>
+          {f.label}: <Text style={{ color: colors.dangerText, textDecorationLine: 'line-through' }}>{f.before}</Text> → <Text style={{ color: colors.successText }}>{f.after}</Text>
+        </Text>
+      ))}
+      {diff.ingredients.removed.map(line('− Ingredient:', colors.dangerText))}
+      {diff.ingredients.added.map(line('+ Ingredient:', colors.successText))}
+      {diff.steps.removed.map(line('− Step:', colors.dangerText))}
+      {diff.steps.added.map(line('+ Step:', colors.successText))}
+    </View>
+  );
+}
+
+// Earlier versions of a recipe, newest first, each with what the following edit changed.
+function History({ state, dispatch, nav, route }) {
+  const { colors, spacing, radius } = useTheme();
+  const recipe = getRecipe(state, route.recipeId);
+  const revisions = recipe ? revisionsOf(state.revisions, recipe.id) : [];
+  const [open, setOpen] = useState(null); // revision id whose diff is shown
+  if (!recipe) return <MissingRecipe nav={nav} title="History" />;
+
+  // Revision i was replaced by revision i + 1, the last one by the current recipe.
+  const versions = revisions.map((rev, i) => ({ ...rev, next: revisions[i + 1]?.recipe || recipe })).reverse();
+  const editable = recipe.owner !== 'sample' && !isTrashed(recipe);
+
+  const revert = (rev) => Alert.alert(
+    'Revert to this version?',
+    `${recipe.title} goes back to how it was on ${new Date(rev.at).toLocaleString()}. The current version stays in the history.`,
+    [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Revert', onPress: () => dispatch({ type: 'revertRecipe', id: recipe.id, revisionId: rev.id }) },
+    ]
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <Header title={`History – ${recipe.title}`} onBack={nav.pop} />
+      <FlatList
+        data={versions}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ padding: spacing.md }}
+        ListEmptyComponent={() => <Text style={{ padding: spacing.xl, color: colors.textMuted }}>No earlier versions yet.</Text>}
+        renderItem={({ item }) => {
+          const diff = diffRecipes(item.recipe, item.next);
+          const count = diff.fields.length + diff.ingredients.added.length + diff.ingredients.removed.length
+            + diff.steps.added.length + diff.steps.removed.length;
+          return (
+            <Card onPress={() => setOpen(o => (o === item.id ? null : item.id))}>
+              <View style={{ padding: spacing.md }}>
+                <Text style={{ fontWeight: '700' }}>{new Date(item.at).toLocaleString()}</Text>
+                <Text style={{ color: colors.textMuted, marginTop: spacing.xxs }}>
+                  {item.recipe.title} · {count} change{count === 1 ? '' : 's'} after this version {open === item.id ? '▴' : '▾'}
+                </Text>
+                {open === item.id && (
+                  <>
+                    <DiffList diff={diff} />
+                    {editable && (
+                      <TouchableOpacity onPress={() => revert(item)} style={{ alignSelf: 'flex-start', marginTop: spacing.smPlus }}>
+                        <Text style={{ backgroundColor: colors.primary, color: colors.onPrimary, paddingVertical: spacing.sm, paddingHorizontal: spacing.md, borderRadius: radius.sm }}>↺ Revert to this version</Text>
+                      </TouchableOpacity>
+                    )}
+                  </>
+                )}
+              </View>
+            </Card>
+          );
+        }}
+      />
+    </SafeAreaView>
+  );
+}
+
+const FORM_WRITE_DELAY_MS = 800;
+
+function AddEdit({ state, dispatch, nav, route }) {
+  const { colors, styles, spacing, radius, type } = useTheme();
+  const editing = route.mode === 'edit';
+  const fork = editing ? null : route.fork; // unsaved "Make my version" copy, see forkRecipe
+  const source = editing ? route.recipe : fork;
+  const defaultTags = state.categories.includes('Dinner') ? ['Dinner'] : [];
+  // What the form started as, to tell whether leaving would lose anything.
+  const [pristine] = useState(() => (source ? formFromRecipe(source) : emptyForm(defaultTags)));
+  // A new recipe resumes the saved draft; edits and forks keep their unsaved input in the nav
+  // params so it survives a relaunch.
+  const [base, setBase] = useState(() => (source
+    ? { id: source.id, createdAt: source.createdAt, form: route.form || pristine }
+    : state.draft || { id: uuid(), createdAt: Date.now(), form: pristine }));
+  const [resumedAt] = useState(() => (!source && state.draft ? state.draft.savedAt : null));
+  const [form, setForm] = useState(base.form);
+  const [attempted, setAttempted] = useState(false); // errors show once saving was tried
+  const errors = validateForm(form);
+  const changed = isFormChanged(form, pristine);
+
+  const set = (field) => (value) => setForm(f => ({ ...f, [field]: value }));
+
+  // Input is written to the draft (or the params) once typing pauses, not on every keystroke; a
+  // pending write happens right away when the app goes to the background or a new recipe is left.
+  const unwritten = useRef(null);
+  const writeForm = useRef();
+  writeForm.current = () => {
+    const latest = unwritten.current;
+    if (!latest) return;
+    unwritten.current = null;
+    if (source) nav.setParams({ form: latest });
+    else {
+      const draft = isFormChanged(latest, pristine) ? { id: base.id, createdAt: base.createdAt, form: latest, savedAt: Date.now() } : null;
+      dispatch({ type: 'setDraft', draft });
+    }
+  };
+  useEffect(() => {
+    unwritten.current = form;
+    const timer = setTimeout(() => writeForm.current(), FORM_WRITE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [form]);
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (s) => {
+      if (s !== 'active') writeForm.current();
+    });
+    // the params of a screen that was left are gone anyway, so only the draft is written
+    return () => {
+      sub.remove();
+      if (!source) writeForm.current();
+    };
+  }, []);
+
+  const startOver = () => {
+    unwritten.current = null;
+    dispatch({ type: 'discardDraft', id: base.id });
+    const fresh = emptyForm(defaultTags);
+    setBase({ id: uuid(), createdAt: Date.now(), form: fresh });
+    setForm(fresh);
+    setAttempted(false);
+  };
+
+  const leave = () => {
+    if (!changed) return nav.pop();
+    if (editing) {
+      return Alert.alert('Discard changes?', 'Your changes to this recipe will be lost.', [
+        { text: 'Keep editing', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: nav.pop },
+      ]);
+    }
+    if (fork) {
+      return Alert.alert('Discard your version?', 'It has not been saved to My Food yet.', [
+        { text: 'Keep editing', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            deleteImagesOf([base.id]); // photos picked for the copy
+            nav.pop();
+          },
+        },
+      ]);
+    }
+    return Alert.alert('Leave this recipe?', 'It is kept as a draft and opens again the next time you add a recipe.', [
+      { text: 'Keep editing', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: () => {
+          unwritten.current = null;
+          dispatch({ type: 'discardDraft', id: base.id });
+          nav.pop();
+        },
+      },
+      { text: 'Keep draft', onPress: nav.pop },
+    ]);
+  };
+  useEffect(() => nav.guardBack(() => {
+    leave();
+    return true;
+  }));
+
+  const [importUrl, setImportUrl] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [estimate, setEstimate] = useState(null); // last calorie estimate, shown until the next one
+
+  const estimateCalories = () => {
+    const result = estimateNutrition({ ingredients: parseIngredients(form.ingredients.map(r => r.text)), servings: Number(form.servings) || 1 });
+    setEstimate(result);
+    if (result.matched.length) set('calories')(String(result.perServing.calories));
+  };
+
+  const importFromUrl = async () => {
+    setImporting(true);
+    try {
+      const { recipe, source } = await fetchRecipeFromUrl(importUrl);
+      const imported = formFromRecipe({ ...recipe, ingredients: recipe.ingredients.map(text => ({ text })) });
+      const known = recipe.tags.map(t => findCategory(state.categories, t)).filter(Boolean);
+      setForm(f => ({
+        ...f,
+        title: imported.title,
+        tags: known.length ? [...new Set(known)] : f.tags,
+        image: recipe.image || f.image,
+        ingredients: imported.ingredients,
+        steps: imported.steps,
+        servings: imported.servings,
+        ...(recipe.prepTime ? { prepMinutes: imported.prepMinutes, cookMinutes: imported.cookMinutes } : {}),
+        ...(recipe.calories ? { calories: imported.calories } : {}),
+      }));
+      Alert.alert(
+        'Recipe imported',
+        source === 'opengraph'
+          ? 'Only the title, image and description were found. Please add the ingredients and steps.'
+          : 'Review the details below, then tap Save Recipe.'
+      );
+    } catch (e) {
+      Alert.alert('Import failed', String(e?.message || e));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const pickImage = async () => {
+    const uri = await pickImageUri(base.id);
+    if (uri) set('image')(uri);
+  };
+
+  // Pasting several lines into one row splits them into rows.
+  const editIngredient = (index, text) => setForm(f => {
+    const [first, ...more] = text.split('\n');
+    const rows = [...f.ingredients];
+    rows.splice(index, 1, { ...rows[index], text: first }, ...more.filter(l => l.trim()).map(l => ingredientRow(l)));
+    return { ...f, ingredients: rows };
+  });
+  const moveIngredient = (index, delta) => setForm(f => ({ ...f, ingredients: moveItem(f.ingredients, index, delta) }));
+  const removeIngredient = (index) => setForm(f => ({
+    ...f,
+    ingredients: f.ingredients.length > 1 ? f.ingredients.filter((_, j) => j !== index) : [ingredientRow()],
+  }));
+
+  const save = () => {
+    if (Object.keys(errors).length) return setAttempted(true);
+    const recipe = {
+      ...recipeFromForm(form),
+      id: base.id,
+      owner: 'me',
+      createdAt: base.createdAt,
+      ...(source?.forkedFrom ? { forkedFrom: source.forkedFrom } : {}),
+    };
+    const commit = () => {
+      unwritten.current = null;
+      if (editing) {
+        dispatch({ type: 'update', recipe });
+      } else {
+        dispatch({ type: 'add', recipe });
+        if (!fork) dispatch({ type: 'setDraft', draft: null });
+      }
+      nav.reset('MyFood');
+    };
+    const conflict = categoryConflict(recipe);
+    if (!conflict) return commit();
+    Alert.alert(
+      `Not ${conflict.diet.toLowerCase()}?`,
+      `This recipe is tagged ${conflict.diet} but contains ${conflict.ingredients.join(', ')}.`,
+      [
+        { text: 'Change categories', style: 'cancel' },
+        { text: 'Save anyway', onPress: commit },
+      ]
+    );
+  };
+
+  const error = (field) => (attempted ? errors[field] : null);
+  const inputStyle = (field, extra) => [styles.input, error(field) ? { borderColor: colors.danger } : null, extra];
+  const fieldError = (field) => (error(field) ? <Text style={{ color: colors.dangerText, fontSize: type.caption, marginTop: spacing.xs }}>{error(field)}</Text> : null);
+  const invalidLabels = Object.keys(errors).map(field => FORM_SCHEMA[field].label);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+      <Header title={editing ? 'Edit Recipe' : fork ? 'My Version' : 'Add New Recipe'} onBack={leave} />
+      <ScrollView contentContainerStyle={{ padding: spacing.mdPlus }} keyboardShouldPersistTaps="handled">
+        {resumedAt ? (
+          <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.warningBg, borderRadius: radius.md, padding: spacing.smPlus }}>
+            <Text style={{ color: colors.warningText, flex: 1 }}>Picked up your unsaved recipe from {new Date(resumedAt).toLocaleString()}.</Text>
+            <TouchableOpacity onPress={startOver} style={{ marginLeft: spacing.sm }}>
+              <Text style={styles.link}>Start over</Text>
+            </TouchableOpacity>
+          </View>
+        ) : null}
+
+        {!source && (
+          <>
+            <Text style={styles.label}>Import from URL</Text>
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <TextInput
+                style={[styles.input, { flex: 1 }]} value={importUrl} onChangeText={setImportUrl}
+                placeholder="https://example.com/best-lasagna" autoCapitalize="none" autoCorrect={false} keyboardType="url"
+              />
+              <TouchableOpacity onPress={importFromUrl} disabled={importing || !importUrl.trim()} style={{ marginLeft: spacing.sm }}>
+                <Text style={[styles.button, { backgroundColor: importing ? colors.disabled : colors.accent, color: colors.onAccent }]}>
+                  {importing ? 'Loading…' : 'Fetch'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        <Text style={styles.label}>Recipe name</Text>
+        <TextInput style={inputStyle('title')} value={form.title} onChangeText={set('title')} placeholder="My tasty dish" />
+        {fieldError('title')}
+
+        <Text style={styles.label}>Categories</Text>
+        <View style={{ flexDirection: 'row', flexWrap: 'wrap', rowGap: spacing.sm, marginBottom: spacing.sm }}>
+          {state.categories.map(c => (
+            <Pill key={c} label={c} active={form.tags.includes(c)} onPress={() => set('tags')(toggleTag(form.tags, c))} />
+          ))}
+        </View>
+
+        <Text style={styles.label}>Image</Text>
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <TextInput style={[styles.input, { flex: 1 }]} value={form.image} onChangeText={set('image')} placeholder="Paste image URL or pick below" />
+          <TouchableOpacity onPress={pickImage} style={{ marginLeft: spacing.sm }}>
+            <Text style={styles.button}>Pick</Text>
+          </TouchableOpacity>
+        </View>
+        {form.image ? (
+          <Image source={{ uri: form.image }} style={{ width: '100%', height: 180, borderRadius: radius.lg }} resizeMode="cover" />
+        ) : null}
+
+        <Text style={styles.label}>Ingredients</Text>
+        {form.ingredients.map((row, i) => (
+          <View key={row.key} style={{ flexDirection: 'row', alignItems: 'center', marginBottom: spacing.xsPlus }}>
+            <TextInput
+              style={inputStyle('ingredients', { flex: 1 })} value={row.text}
+              onChangeText={t => editIngredient(i, t)}
+              placeholder={i === 0 ? 'e.g. 2 eggs' : 'Next ingredient…'}
+            />
+            <TouchableOpacity disabled={i === 0} onPress={() => moveIngredient(i, -1)} style={{ padding: spacing.sm }} accessibilityLabel="Move up">
+              <Text style={{ color: i === 0 ? colors.disabled : colors.text }}>↑</Text>
+            </TouchableOpacity>
+            <TouchableOpacity disabled={i === form.ingredients.length - 1} onPress={() => moveIngredient(i, 1)} style={{ padding: spacing.sm }} accessibilityLabel="Move down">
+              <Text style={{ color: i === form.ingredients.length - 1 ? colors.disabled : colors.text }}>↓</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => removeIngredient(i)} style={{ padding: spacing.sm }} accessibilityLabel="Remove ingredient">
+              <Text style={{ color: colors.textMuted }}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+        {fieldError('ingredients')}
+        <TouchableOpacity onPress={() => set('ingredients')([...form.ingredients, ingredientRow()])} style={{ alignSelf: 'flex-start', marginTop: spacing.xxs }}>
+          <Text style={styles.link}>＋ Add ingredient</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.label}>Step-by-step instructions</Text>
+        {form.steps.map((step, i) => (
+          <View key={i} style={{ flexDirection: 'row', alignItems: 'flex-start', marginBottom: spacing.sm }}>
+            <Text style={{ fontWeight: '700', width: 24, marginTop: spacing.smPlus }}>{i + 1}.</Text>
+            <TextInput
+              style={inputStyle('steps', { flex: 1, minHeight: 44 })} multiline value={step}
+              onChangeText={t => set('steps')(form.steps.map((x, j) => (j === i ? t : x)))}
+              placeholder={i === 0 ? 'e.g. Simmer the sauce for 20 minutes' : 'Next step…'}
+            />
+            <TouchableOpacity
+              onPress={() => set('steps')(form.steps.length > 1 ? form.steps.filter((_, j) => j !== i) : [''])}
+              style={{ padding: spacing.smPlus }}>
+              <Text style={{ color: colors.textMuted }}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+        {fieldError('steps')}
+        <TouchableOpacity onPress={() => set('steps')([...form.steps, ''])} style={{ alignSelf: 'flex-start' }}>
+          <Text style={styles.link}>＋ Add step</Text>
+        </TouchableOpacity>
+
+        <View style={{ flexDirection: 'row', gap: spacing.sm }}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Prep (minutes)</Text>
+            <TextInput style={inputStyle('prepMinutes')} value={form.prepMinutes} onChangeText={set('prepMinutes')} keyboardType="number-pad" placeholder="15" />
+            {fieldError('prepMinutes')}
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Cook (minutes)</Text>
+            <TextInput style={inputStyle('cookMinutes')} value={form.cookMinutes} onChangeText={set('cookMinutes')} keyboardType="number-pad" placeholder="30" />
+            {fieldError('cookMinutes')}
+          </View>
+        </View>
+
+        <View style={{ flexDirection: 'row', gap: spacing.sm }}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Servings</Text>
+            <TextInput style={inputStyle('servings')} value={form.servings} onChangeText={set('servings')} keyboardType="number-pad" placeholder="2" />
+            {fieldError('servings')}
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Calories per serving</Text>
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <TextInput style={inputStyle('calories', { flex: 1 })} value={form.calories} onChangeText={set('calories')} keyboardType="number-pad" placeholder="450" />
+              <TouchableOpacity onPress={estimateCalories} style={{ marginLeft: spacing.xsPlus }}>
+                <Text style={styles.link}>Estimate</Text>
+              </TouchableOpacity>
+            </View>
+            {fieldError('calories')}
+          </View>
+        </View>
+        {estimate && (
+          <Text style={{ color: colors.textMuted, fontSize: type.caption, marginTop: spacing.xsPlus }}>
+            {estimate.matched.length
+              ? `Estimated ${estimate.perServing.calories} kcal per serving from ${estimate.matched.length} ingredient(s). You can still edit the number.`
+              : 'None of the ingredients could be matched, so calories were left unchanged.'}
+            {estimate.unmatched.length ? ` Couldn't match: ${unmatchedText(estimate.unmatched)}.` : ''}
+          </Text>
+        )}
+
+        <Text style={styles.label}>Difficulty</Text>
+        <View style={{ flexDirection: 'row' }}>
+          {DIFFICULTIES.map(d => <Pill key={d} label={d} active={form.difficulty === d} onPress={() => set('difficulty')(d)} />)}
+        </View>
+        {fieldError('difficulty')}
+
+        {attempted && invalidLabels.length ? (
+          <Text style={{ color: colors.dangerText, marginTop: spacing.mdPlus }}>Please check: {invalidLabels.join(', ')}.</Text>
+        ) : null}
+        <TouchableOpacity onPress={save} style={{ marginTop: spacing.mdPlus }}>
+          <Text style={{ backgroundColor: colors.success, color: colors.onAccent, textAlign: 'center', paddingVertical: spacing.mdPlus, borderRadius: radius.lg, fontWeight: '700' }}>Save Recipe</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ---- Root -----------------------------------------------------------------
+export default function App() {
+  const [state, dispatch] = useReducer(trackedReducer, initialState);
   const nav = useStackNav();
+  const systemScheme = useColorScheme();
+  const theme = resolveTheme(state.themeMode, systemScheme);
+  const { colors, spacing } = theme;
+
+  const [hydrated, setHydrated] = useState(false); // nothing is written until stored data has been loaded
+  const [storageError, setStorageError] = useState(null);
+  const writer = useMemo(() => createWriter({ onError: setStorageError }), []);
+
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const [undo, setUndo] = useState(null); // { message, revert } shown in the snackbar
+  // Screens get this dispatch so deletes and edits can be undone from the snackbar.
+  const appDispatch = useMemo(() => (action) => {
+    if (action.type === 'delete') {
+      setUndo({ message: 'Recipe moved to Trash', revert: { type: 'restore', id: action.id } });
+    } else if (action.type === 'purge') {
+      // Files other recipes still use (e.g. a fork's photo) survive the purge.
+      deleteImagesOf(action.ids, imagesInUse(reducer(stateRef.current, action)));
+    } else if (action.type === 'deleteCollection' || action.type === 'discardDraft') {
+      deleteImagesOf([action.id]);
+    } else if (action.type === 'update') {
+      const previous = getRecipe(stateRef.current, action.recipe.id);
+      if (previous) setUndo({ message: 'Recipe updated', revert: { type: 'undoUpdate', recipes: [previous] } });
+    } else if (action.type === 'importRecipes' && action.replace.length) {
+      const previous = action.replace.map(r => getRecipe(stateRef.current, r.id)).filter(Boolean);
+      setUndo({
+        message: `${previous.length} recipe${previous.length === 1 ? '' : 's'} replaced`,
+        revert: { type: 'undoUpdate', recipes: previous },
+      });
+    } else if (action.type === 'revertRecipe') {
+      const previous = getRecipe(stateRef.current, action.id);
+      if (previous) setUndo({ message: 'Recipe reverted', revert: { type: 'undoUpdate', recipes: [previous] } });
+    }
+    dispatch(action);
+  }, []);
+
+  const openStack = (entries, recipes) => {
+    const { stack, dropped } = resolveStack(entries, recipes);
+    nav.restore(stack);
+    if (dropped) Alert.alert('Recipe not found', 'That recipe is no longer available on this device.');
+  };
+
+  // links opened while the app is running
+  useEffect(() => {
+    if (!hydrated) return undefined;
+    const sub = Linking.addEventListener('url', ({ url }) => {
+      const linked = parseDeepLink(url, stateRef.current.categories);
+      if (linked) openStack(linked, selectRecipes(stateRef.current));
+    });
+    return () => sub.remove();
+  }, [hydrated]);
+
+  useEffect(() => {
+    if (!undo) return undefined;
+    const timer = setTimeout(() => setUndo(null), 6000);
+    return () => clearTimeout(timer);
+  }, [undo]);
 
   // load persisted
   useEffect(() => {
     (async () => {
       try {
-        const [r, f] = await Promise.all([
-          AsyncStorage.getItem(storageKeys.recipes),
-          AsyncStorage.getItem(storageKeys.favorites),
-        ]);
-        const payload = {};
-        if (r) payload.recipes = JSON.parse(r);
-        if (f) payload.favorites = JSON.parse(f);
-        if (Object.keys(payload).length) dispatch({ type: 'load', payload });
-      } catch (e) {}
+        const { payload, raw, quarantined } = await loadState();
+        const { navigation, ...data } = payload;
+        writer.prime(raw);
+        const loadAction = { type: 'load', payload: data };
+        if (Object.keys(data).length) dispatch(loadAction);
+        const now = Date.now();
+        const loaded = reducer(stateRef.current, loadAction);
+        const purgeAction = { type: 'purgeExpiredTrash', now };
+        deleteImagesOf(expiredIds(selectTrashedRecipes(loaded), now), imagesInUse(reducer(loaded, purgeAction)));
+        dispatch(purgeAction);
+
+        // A link that launched the app wins over the stack from the last session.
+        const recipes = data.recipes || selectRecipes(stateRef.current);
+        const linked = parseDeepLink(await Linking.getInitialURL().catch(() => null), data.categories || stateRef.current.categories);
+        if (linked) openStack(linked, recipes);
+        else if (navigation) nav.restore(resolveStack(navigation, recipes).stack);
+
+        if (quarantined.length) {
+          Alert.alert('Some saved data was damaged', `${quarantined.length} item(s) could not be read and were set aside.`);
+        }
+        setHydrated(true);
+      } catch (e) {
+        setStorageError(e);
+      }
     })();
-  }, []);
+  }, [writer]);
 
   // persist on changes
   useEffect(() => {
-    saveToStorage(state.recipes, state.favorites);
-  }, [state.recipes, state.favorites]);
+    if (hydrated) writer.schedule({ ...state, navigation: nav.stack });
+  }, [
+    hydrated, writer, nav.stack, state.recipesById, state.recipeIds, state.collections, state.shopping, state.mealPlan, state.pantry,
+    state.allergyProfile, state.categories, state.cookLog, state.recipeNotes, state.revisions, state.imageCache, state.sync,
+    state.themeMode, state.draft,
+  ]);
+
+  // Sync with the household server when one is configured: on launch, when the app comes back to
+  // the foreground, shortly after local changes, and from the Sync screen.
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const syncInFlight = useRef(false);
+  const runSync = async () => {
+    const current = stateRef.current;
+    if (syncInFlight.current || !isSyncEnabled(current.sync)) return;
+    syncInFlight.current = true;
+    setSyncing(true);
+    try {
+      const result = await syncNow(current);
+      const action = { type: 'applySync', result };
+      deleteImagesOf(applySyncResult(stateRef.current, result).purged, imagesInUse(reducer(stateRef.current, action)));
+      dispatch(action);
+      setSyncError(null);
+    } catch (e) {
+      setSyncError(String(e?.message || e));
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  };
+  useEffect(() => {
+    if (hydrated) runSync();
+  }, [hydrated, state.sync.serverUrl]);
+  const queuedChanges = state.sync.pending.length + Object.keys(state.sync.tombstones).length;
+  useEffect(() => {
+    if (!hydrated || !queuedChanges) return undefined;
+    const timer = setTimeout(runSync, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [hydrated, queuedChanges]);
+
+  // Cache recipe images locally and make card thumbnails, one recipe at a time.
+  const failedImages = useRef(new Set()); // sources that couldn't be cached; retried next launch
+  useEffect(() => {
+    if (!hydrated) return undefined;
+    let cancelled = false;
+    (async () => {
+      for (const recipe of imagesToCache(selectLiveRecipes(state), state.imageCache, failedImages.current)) {
+        try {
+          const entry = await cacheRecipeImage(recipe, state.imageCache[recipe.id]);
+          if (cancelled) return;
+          dispatch({ type: 'setImageCache', recipeId: recipe.id, entry });
+        } catch (e) {
+          failedImages.current.add(recipe.image);
+        }
+        if (cancelled) return;
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [hydrated, state.recipesById]);
+
+  // don't lose the debounced write when the app is backgrounded
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (s) => {
+      if (s === 'active') runSync();
+      if (s !== 'active') writer.flush();
+    });
+    return () => sub.remove();
+  }, [writer]);
 
   const screen = (() => {
     switch (nav.current.name) {
       case 'Feed':
-        return <Feed state={state} dispatch={dispatch} nav={nav} />;
+        return <Feed state={state} dispatch={appDispatch} nav={nav} route={nav.current.params} />;
       case 'Details':
-        return <Details state={state} dispatch={dispatch} nav={nav} route={nav.current.params} />;
+        return <Details state={state} dispatch={appDispatch} nav={nav} route={nav.current.params} />;
       case 'Favorites':
-        return <Favorites state={state} nav={nav} />;
+        return <Collection state={state} dispatch={appDispatch} nav={nav} route={{ collectionId: FAVORITES_ID }} />;
+      case 'Collections':
+        return <Collections state={state} dispatch={appDispatch} nav={nav} />;
+      case 'Collection':
+        return <Collection state={state} dispatch={appDispatch} nav={nav} route={nav.current.params} />;
+      case 'ShoppingList':
+        return <ShoppingList state={state} dispatch={appDispatch} nav={nav} />;
+      case 'CookMode':
+        return <CookMode state={state} nav={nav} route={nav.current.params} />;
+      case 'MealPlan':
+        return <MealPlan state={state} dispatch={appDispatch} nav={nav} />;
+      case 'Categories':
+        return <Categories state={state} dispatch={appDispatch} nav={nav} />;
+      case 'Allergies':
+        return <Allergies state={state} dispatch={appDispatch} nav={nav} />;
+      case 'Appearance':
+        return <Appearance state={state} dispatch={appDispatch} nav={nav} />;
+      case 'Pantry':
+        return <Pantry state={state} dispatch={appDispatch} nav={nav} />;
+      case 'CookFromPantry':
+        return <CookFromPantry state={state} dispatch={appDispatch} nav={nav} />;
       case 'MyFood':
         return <MyFood state={state} nav={nav} />;
+      case 'Trash':
+        return <Trash state={state} dispatch={appDispatch} nav={nav} />;
+      case 'ImportRecipes':
+        return <ImportRecipes state={state} dispatch={appDispatch} nav={nav} />;
+      case 'History':
+        return <History state={state} dispatch={appDispatch} nav={nav} route={nav.current.params} />;
+      case 'SharedRecipe':
+        return <SharedRecipe dispatch={appDispatch} nav={nav} route={nav.current.params} />;
+      case 'Sync':
+        return <Sync state={state} dispatch={appDispatch} nav={nav} sync={{ running: syncing, error: syncError, run: runSync }} />;
       case 'AddEdit':
-        return <AddEdit state={state} dispatch={dispatch} nav={nav} route={nav.current.params} />;
+        return <AddEdit state={state} dispatch={appDispatch} nav={nav} route={nav.current.params} />;
       default:
         return <Text>Unknown screen</Text>;
     }
   })();
 
-  return <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }}>{screen}</SafeAreaView>;
+  return (
+    <ThemeContext.Provider value={theme}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: colors.surface }}>
+        <StatusBar barStyle={theme.dark ? 'light-content' : 'dark-content'} backgroundColor={colors.surface} />
+        {storageError ? (
+          <TouchableOpacity onPress={hydrated ? writer.retry : undefined} style={{ backgroundColor: colors.dangerBg, padding: spacing.smPlus }}>
+            <Text style={{ color: colors.dangerText, fontWeight: '600' }}>
+              {hydrated ? "Couldn't save your changes. Tap to retry." : "Couldn't read saved recipes. Changes won't be saved this session."}
+            </Text>
+          </TouchableOpacity>
+        ) : null}
+        <React.Fragment key={nav.current.key}>{screen}</React.Fragment>
+        {undo ? (
+          <Snackbar
+            message={undo.message}
+            onUndo={() => {
+              dispatch(undo.revert);
+              setUndo(null);
+            }}
+          />
+        ) : null}
+      </SafeAreaView>
+    </ThemeContext.Provider>
+  );
 }
-
-const styles = {
-  label: { fontWeight: '700', marginTop: 12, marginBottom: 6 },
-  input: {
-    borderWidth: 1,
-    borderColor: '#e5e7eb',
-    backgroundColor: '#f9fafb',
-    borderRadius: 10,
-    paddingHorizontal: 12,
-    paddingVertical: Platform.OS === 'ios' ? 12 : 8,
-  },
-};
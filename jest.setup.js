@@ -0,0 +1,2 @@
+// Storage code runs against the in-memory AsyncStorage mock the package ships for Jest.
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
@@ -0,0 +1,209 @@
+/**
+ * Load and filter timings for a large synthetic recipe library.
+ *
+ * Runs the app's own modules from src/ in Node (through Babel) against an in-memory stand-in for
+ * AsyncStorage, so the numbers show how the logic scales; a phone adds its own storage and
+ * rendering costs on top.
+ *
+ *   node scripts/benchmark.js [--count 5000] [--runs 5]
+ *
+ * Measures: migrating the old single-value library to one key per recipe, loading it again,
+ * normalizing, the memoized selectors (first call and cached), search and filters, and how much
+ * the debounced writer writes after a one-recipe edit compared with a full write.
+ */
+const path = require('path');
+
+// Compiles src/ with the app's babel.config.js; nothing else goes through Babel.
+const root = path.join(__dirname, '..');
+require('@babel/register')({ cwd: root, only: [path.join(root, 'src')] });
+
+const { applyAllergyProfile } = require('../src/diet');
+const { changeRecipe, normalizeRecipes, selectLiveRecipes, selectVisibleRecipes } = require('../src/library');
+const { parseIngredients } = require('../src/ingredients');
+const { EMPTY_FILTERS, parseTerms, searchRecipes } = require('../src/search');
+const { SCHEMA_VERSION, SCHEMA_VERSION_KEY, createWriter, loadState } = require('../src/storage');
+
+function parseArgs(argv) {
+  const args = { count: 5000, runs: 5 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    const value = Number(argv[i + 1]);
+    if (!(name in args) || !Number.isInteger(value) || value < 1) {
+      console.error(`Unknown or invalid option: ${argv[i]} ${argv[i + 1] ?? ''}`);
+      process.exit(1);
+    }
+    args[name] = value;
+  }
+  return args;
+}
+
+// ---- Synthetic library -----------------------------------------------------
+// Seeded, so runs with the same --count compare like for like.
+function random(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1664525 + 1013904223) % 4294967296;
+    return s / 4294967296;
+  };
+}
+
+const ADJECTIVES = ['Smoky', 'Crispy', 'Creamy', 'Spicy', 'Zesty', 'Roasted', 'Herby', 'Golden', 'Garlicky', 'Sticky'];
+const DISHES = ['Chicken Bowl', 'Lentil Soup', 'Tofu Stir-Fry', 'Pasta Bake', 'Salmon Tacos', 'Veggie Curry', 'Pancakes', 'Salad', 'Risotto', 'Flatbread'];
+const INGREDIENTS = [
+  '200 g chicken breast', '1 cup rice', '2 tbsp olive oil', '1 onion', '2 cloves garlic', '400 g chickpeas',
+  '1 cup milk', '2 eggs', '200 g spaghetti', '1 tbsp soy sauce', '100 g feta', '1 avocado', '2 tomatoes',
+  '1 tsp cumin', '50 g peanuts', '1 cup spinach', '200 g salmon', '1 lemon', '150 g tofu', '1 cup flour',
+];
+const TAGS = ['Breakfast', 'Lunch', 'Dinner', 'Vegan', 'Quick', 'Dessert', 'Snack', 'Healthy'];
+const DIFFICULTY = ['Easy', 'Medium', 'Hard'];
+
+function syntheticRecipes(count) {
+  const rand = random(count);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const now = Date.now();
+  return Array.from({ length: count }, (_, i) => {
+    const lines = Array.from({ length: 5 + Math.floor(rand() * 8) }, () => pick(INGREDIENTS));
+    const steps = Array.from({ length: 3 + Math.floor(rand() * 5) }, (_, n) => `Step ${n + 1}: cook for ${5 + Math.floor(rand() * 20)} minutes and stir.`);
+    const prepMinutes = 5 + Math.floor(rand() * 40);
+    const cookMinutes = Math.floor(rand() * 60);
+    return {
+      id: `bench-${i}`,
+      title: `${pick(ADJECTIVES)} ${pick(DISHES)} #${i}`,
+      tags: [pick(TAGS), pick(TAGS)].filter((t, n, all) => all.indexOf(t) === n),
+      image: `https://example.com/recipes/${i}.jpg`,
+      ingredients: parseIngredients(lines),
+      steps,
+      instructions: steps.join('\n'),
+      prepMinutes,
+      cookMinutes,
+      prepTime: `${prepMinutes + cookMinutes} min`,
+      servings: 1 + Math.floor(rand() * 6),
+      calories: 150 + Math.floor(rand() * 900),
+      difficulty: pick(DIFFICULTY),
+      owner: 'me',
+      updatedAt: now - i * 60000,
+      ...(rand() < 0.05 ? { deletedAt: now - Math.floor(rand() * 10) * 86400000 } : {}),
+    };
+  });
+}
+
+// ---- In-memory storage -----------------------------------------------------
+// The subset of the AsyncStorage API src/storage.js uses, counting what gets written.
+function memoryStorage(entries = []) {
+  const data = new Map(entries);
+  const stats = { keysWritten: 0, bytesWritten: 0 };
+  const write = (key, value) => {
+    data.set(key, value);
+    stats.keysWritten += 1;
+    stats.bytesWritten += value.length;
+  };
+  return {
+    stats,
+    getItem: async (key) => (data.has(key) ? data.get(key) : null),
+    setItem: async (key, value) => write(key, value),
+    multiGet: async (keys) => keys.map(key => [key, data.has(key) ? data.get(key) : null]),
+    multiSet: async (pairs) => pairs.forEach(([key, value]) => write(key, value)),
+    multiRemove: async (keys) => keys.forEach(key => data.delete(key)),
+    getAllKeys: async () => [...data.keys()],
+  };
+}
+
+// ---- Timing ----------------------------------------------------------------
+const ms = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+const median = (times) => [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)];
+const kb = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+
+function report(label, time, note = '') {
+  console.log(`${label.padEnd(44)} ${`${time.toFixed(2)} ms`.padStart(12)}${note ? `  ${note}` : ''}`);
+}
+
+/** Median time of `runs` calls of `fn`; `fresh()` runs before each call, outside the timing. */
+async function measure(runs, fn, fresh = () => undefined) {
+  const times = [];
+  let result;
+  for (let i = 0; i < runs; i += 1) {
+    const input = fresh();
+    const start = process.hrtime.bigint();
+    result = await fn(input);
+    times.push(ms(start));
+  }
+  return { time: median(times), result };
+}
+
+// ---- Benchmarks ------------------------------------------------------------
+async function main() {
+  const { count, runs } = parseArgs(process.argv.slice(2));
+  const recipes = syntheticRecipes(count);
+  const blob = JSON.stringify(recipes);
+  console.log(`${count} recipes, ${kb(blob.length)} as JSON, median of ${runs} runs\n`);
+
+  // Storage
+  const legacy = () => memoryStorage([[SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)], ['foodie:recipes', blob]]);
+  const migration = await measure(runs, storage => loadState(storage), legacy);
+  report('load + migrate single-value library', migration.time, `${migration.result.payload.recipes.length} recipes`);
+
+  const migrated = legacy();
+  const { raw } = await loadState(migrated);
+  const snapshot = await migrated.multiGet(await migrated.getAllKeys());
+  const load = await measure(runs, storage => loadState(storage), () => memoryStorage(snapshot));
+  report('load one key per recipe', load.time, `${load.result.payload.recipes.length} recipes`);
+
+  // State and selectors
+  const normalized = await measure(runs, () => normalizeRecipes(load.result.payload.recipes));
+  report('normalizeRecipes', normalized.time);
+  const state = { ...normalized.result, allergyProfile: { allergens: ['dairy', 'peanuts'], mode: 'hide' } };
+
+  const firstSelect = await measure(runs, s => selectVisibleRecipes(s), () => ({ ...state, recipeIds: [...state.recipeIds] }));
+  report('selectVisibleRecipes (recomputed)', firstSelect.time, `${firstSelect.result.length} visible`);
+  selectVisibleRecipes(state);
+  const cachedSelect = await measure(runs, () => selectVisibleRecipes(state));
+  report('selectVisibleRecipes (cached)', cachedSelect.time);
+
+  // Search and filters
+  const live = selectLiveRecipes(state);
+  const searches = [
+    ['search "chicken"', { query: 'chicken' }],
+    ['search "creamy pasta"', { query: 'creamy pasta' }],
+    ['filter Easy, ≤ 30 min, ≤ 600 kcal', { difficulty: 'Easy', maxPrep: 30, maxCalories: 600 }],
+    ['filter contains rice, excludes egg', { include: parseTerms('rice'), exclude: parseTerms('egg') }],
+    ['sort by calories', { sort: 'calories' }],
+  ];
+  for (const [label, filters] of searches) {
+    const run = await measure(runs, () => searchRecipes(live, { ...EMPTY_FILTERS, ...filters }));
+    report(label, run.time, `${run.result.length} results`);
+  }
+  const allergy = await measure(runs, () => applyAllergyProfile(live, state.allergyProfile));
+  report('applyAllergyProfile (hide dairy, peanuts)', allergy.time);
+
+  // Writes (recipes only, other slices would be written the same way either way)
+  const library = normalized.result;
+  const editOne = (s) => ({ ...s, ...changeRecipe(s, s.recipeIds[0], r => ({ ...r, title: `${r.title}!` })) });
+  const primed = await measure(runs, async ({ storage, writer }) => {
+    writer.schedule(editOne(library));
+    await writer.flush();
+    return storage.stats;
+  }, () => {
+    const storage = memoryStorage();
+    const writer = createWriter({ storage, delay: 0 });
+    writer.prime(raw);
+    writer.schedule(library); // matches storage, so nothing is written but every recipe is marked
+    writer.flush();
+    return { storage, writer };
+  });
+  report('write after editing one recipe', primed.time, `${primed.result.keysWritten} key(s), ${kb(primed.result.bytesWritten)}`);
+
+  const full = await measure(runs, async ({ storage, writer }) => {
+    writer.schedule(library);
+    await writer.flush();
+    return storage.stats;
+  }, () => {
+    const storage = memoryStorage();
+    return { storage, writer: createWriter({ storage, delay: 0 }) };
+  });
+  report('write the whole library', full.time, `${full.result.keysWritten} key(s), ${kb(full.result.bytesWritten)}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
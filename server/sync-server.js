@@ -0,0 +1,118 @@
+/**
+ * Stand-in sync server for development and testing (the app side lives in src/sync.js).
+ *
+ * Plain Node, no dependencies. Keeps the latest change per recipe and a sequence number as the
+ * pull cursor; conflicting pushes are decided with the same rule as the app (`pickWinner`).
+ * Data is kept in memory, or in a JSON file when `--file` is given.
+ *
+ *   node server/sync-server.js [--port 8787] [--file foodie-sync.json]
+ *
+ *   GET  /changes?since=<cursor>  -> { changes, cursor }
+ *   POST /changes  { changes }    -> { accepted: [id], rejected: [change] }
+ */
+const fs = require('fs');
+const http = require('http');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Same as pickWinner in src/sync.js; keep the two in step.
+function pickWinner(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt ? a : b;
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+}
+
+function createStore(file) {
+  let data = { seq: 0, latest: {} }; // latest: id => { seq, change }
+  if (file && fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const save = () => { if (file) fs.writeFileSync(file, JSON.stringify(data)); };
+
+  return {
+    changesSince(since) {
+      const changes = Object.values(data.latest)
+        .filter(entry => entry.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(entry => entry.change);
+      return { changes, cursor: data.seq };
+    },
+    push(changes) {
+      const accepted = [];
+      const rejected = [];
+      changes.forEach(change => {
+        const current = data.latest[change.id]?.change;
+        if (current && pickWinner(current, change) === current) {
+          if (JSON.stringify(current) === JSON.stringify(change)) accepted.push(change.id);
+          else rejected.push(current);
+          return;
+        }
+        data.seq += 1;
+        data.latest[change.id] = { seq: data.seq, change };
+        accepted.push(change.id);
+      });
+      save();
+      return { accepted, rejected };
+    },
+  };
+}
+
+const isChange = (c) => c && typeof c.id === 'string' && typeof c.updatedAt === 'number' && (c.deleted === true || (c.recipe && typeof c.recipe === 'object'));
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(Object.assign(new Error('Body too large'), { status: 413 }));
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (e) {
+        reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createServer(store) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*', // Expo web runs on another port
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') return send(204);
+      if (url.pathname !== '/changes') return send(404, { error: 'Not found' });
+      if (req.method === 'GET') return send(200, store.changesSince(Number(url.searchParams.get('since')) || 0));
+      if (req.method === 'POST') {
+        const { changes } = await readJson(req);
+        if (!Array.isArray(changes) || !changes.every(isChange)) return send(400, { error: 'Expected { changes: [...] }' });
+        return send(200, store.push(changes));
+      }
+      return send(405, { error: 'Method not allowed' });
+    } catch (e) {
+      return send(e.status || 500, { error: e.message });
+    }
+  });
+}
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+}
+
+if (require.main === module) {
+  const port = Number(arg('port', 8787));
+  const file = arg('file', null);
+  createServer(createStore(file)).listen(port, () => {
+    console.log(`Foodie sync server on http://localhost:${port}${file ? ` (data in ${file})` : ' (in memory)'}`);
+  });
+}
+
+module.exports = { createServer, createStore, pickWinner };
@@ -0,0 +1,29 @@
+import { CALORIE_RANGES, EMPTY_FILTERS, searchRecipes } from '../search';
+
+const recipe = (id, extra = {}) => ({ id, title: `Recipe ${id}`, ingredients: [], instructions: '', ...extra });
+const ids = (recipes, filters) => searchRecipes(recipes, { ...EMPTY_FILTERS, ...filters }).map(r => r.id);
+
+describe('prep time', () => {
+  const recipes = [
+    recipe('split', { prepMinutes: 10, cookMinutes: 40, prepTime: '50 min' }),
+    recipe('total', { prepTime: '25 min' }),
+    recipe('none'),
+  ];
+
+  it('filters on the prep minutes when a recipe has them, not on the total time', () => {
+    expect(ids(recipes, { maxPrep: 15 })).toEqual(['split']);
+    expect(ids(recipes, { maxPrep: 30 })).toEqual(['split', 'total']);
+  });
+
+  it('sorts the quickest prep first, recipes without a time last', () => {
+    expect(ids(recipes, { sort: 'quickest' })).toEqual(['split', 'total', 'none']);
+  });
+});
+
+describe('calorie ranges', () => {
+  it('puts every recipe in exactly one range, edges included', () => {
+    const recipes = [299, 300, 599, 600].map(calories => recipe(String(calories), { calories }));
+    const inRange = CALORIE_RANGES.map(r => ids(recipes, { minCalories: r.min, maxCalories: r.max }));
+    expect(inRange).toEqual([['299'], ['300', '599'], ['600']]);
+  });
+});
@@ -0,0 +1,29 @@
+import { ingredientKey } from '../ingredients';
+import { OTHER_AISLE, aisleFor } from '../shopping';
+
+const aisleOf = (item) => aisleFor(ingredientKey(item));
+
+describe('aisleFor', () => {
+  it('matches whole words, not the start of longer ones', () => {
+    expect(aisleOf('eggplant')).toBe('Produce');
+    expect(aisleOf('eggs')).toBe('Dairy & Eggs');
+    expect(aisleOf('saltines')).toBe(OTHER_AISLE);
+  });
+
+  it('tells ground pepper from fresh peppers', () => {
+    expect(aisleOf('black pepper')).toBe('Spices & Condiments');
+    expect(aisleOf('salt & pepper')).toBe('Spices & Condiments');
+    expect(aisleOf('peppercorns')).toBe('Spices & Condiments');
+    expect(aisleOf('red bell peppers')).toBe('Produce');
+  });
+
+  it('goes by the last word that names an aisle', () => {
+    expect(aisleOf('tomato sauce')).toBe('Spices & Condiments');
+    expect(aisleOf('cherry tomatoes')).toBe('Produce');
+  });
+
+  it('accepts plural keys', () => {
+    expect(aisleFor('rolled oats')).toBe('Pasta, Rice & Grains');
+    expect(aisleFor('blueberries')).toBe('Produce');
+  });
+});
@@ -0,0 +1,201 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { FAVORITES_ID } from '../collections';
+import {
+  MIGRATIONS, QUARANTINE_KEY, RECIPE_INDEX_KEY, SCHEMA_VERSION, SCHEMA_VERSION_KEY, createWriter, loadState, migrate, recipeKey, storageKeys,
+} from '../storage';
+
+const recipe = (id, extra = {}) => ({ id, title: `Recipe ${id}`, ingredients: [], tags: ['Dinner'], ...extra });
+
+const stored = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('migrations', () => {
+  const step = (version, data) => MIGRATIONS.find(m => m.version === version).up(data);
+
+  it('v1 turns ingredient strings into structured ingredients', () => {
+    const { recipes } = step(1, { recipes: [recipe('a', { ingredients: ['2 cups flour'], servings: '4' })] });
+    expect(recipes[0].ingredients[0]).toMatchObject({ text: '2 cups flour', quantity: 2, unit: 'cup' });
+    expect(recipes[0].servings).toBe(4);
+  });
+
+  it('v2 turns a single category into tags and builds the category list', () => {
+    const { recipes, categories } = step(2, { recipes: [{ id: 'a', title: 'A', ingredients: [], category: 'Brunch' }] });
+    expect(recipes[0].tags).toEqual(['Brunch']);
+    expect(recipes[0].category).toBeUndefined();
+    expect(categories).toContain('Brunch');
+  });
+
+  it('v2 keeps a category list that is already stored', () => {
+    expect(step(2, { recipes: [], categories: ['Mine'] }).categories).toEqual(['Mine']);
+  });
+
+  it('v3 moves favorites into the built-in Favorites collection', () => {
+    const data = step(3, { favorites: { a: true, b: false } });
+    expect(data.favorites).toBeUndefined();
+    expect(data.collections).toEqual([expect.objectContaining({ id: FAVORITES_ID, recipeIds: ['a'] })]);
+  });
+
+  it('runs only the steps after the stored version', () => {
+    const data = { recipes: [{ id: 'a', title: 'A', ingredients: ['1 egg'], category: 'Lunch' }] };
+    expect(migrate(data, 1).recipes[0].ingredients).toEqual(['1 egg']);
+    expect(migrate(data, 0).recipes[0].ingredients[0]).toMatchObject({ text: '1 egg' });
+    expect(migrate(data, SCHEMA_VERSION)).toBe(data);
+  });
+});
+
+describe('loadState', () => {
+  it('migrates data from the first version and writes it back', async () => {
+    await AsyncStorage.multiSet([
+      ['foodie:recipes', JSON.stringify([{ id: 'a', title: 'Soup', ingredients: ['1 onion'], category: 'Dinner' }])],
+      ['foodie:favorites', JSON.stringify({ a: true })],
+    ]);
+
+    const { payload, quarantined } = await loadState();
+
+    expect(quarantined).toEqual([]);
+    expect(payload.recipes).toEqual([expect.objectContaining({ id: 'a', tags: ['Dinner'], owner: 'me' })]);
+    expect(payload.collections[0].recipeIds).toEqual(['a']);
+    expect(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)).toBe(String(SCHEMA_VERSION));
+    expect(await stored(RECIPE_INDEX_KEY)).toEqual(['a']);
+    expect(await stored(recipeKey('a'))).toMatchObject({ title: 'Soup' });
+    expect(await AsyncStorage.getItem('foodie:recipes')).toBeNull();
+    expect(await AsyncStorage.getItem('foodie:favorites')).toBeNull();
+  });
+
+  it('does not write anything when storage is up to date', async () => {
+    await AsyncStorage.multiSet([[SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)], [RECIPE_INDEX_KEY, '["a"]'], [recipeKey('a'), JSON.stringify(recipe('a'))]]);
+    const first = await loadState();
+    AsyncStorage.multiSet.mockClear();
+
+    const again = await loadState();
+
+    expect(again.payload).toEqual(first.payload);
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+
+  it('quarantines unreadable slices and malformed recipes instead of failing', async () => {
+    await AsyncStorage.multiSet([
+      [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)],
+      [storageKeys.shopping, '{not json'],
+      [storageKeys.pantry, JSON.stringify({ not: 'a list' })],
+      [RECIPE_INDEX_KEY, JSON.stringify(['good', 'untitled', 'broken'])],
+      [recipeKey('good'), JSON.stringify(recipe('good'))],
+      [recipeKey('untitled'), JSON.stringify({ id: 'untitled', ingredients: [] })],
+      [recipeKey('broken'), '{"id":'],
+    ]);
+
+    const { payload, quarantined } = await loadState();
+
+    expect(payload.recipes.map(r => r.id)).toEqual(['good']);
+    expect(payload.shopping).toBeUndefined();
+    expect(payload.pantry).toBeUndefined();
+    expect(quarantined.map(q => q.key).sort()).toEqual([recipeKey('broken'), recipeKey('untitled'), storageKeys.pantry, storageKeys.shopping].sort());
+    expect(quarantined.find(q => q.key === recipeKey('untitled')).reason).toBe('missing title');
+
+    const kept = await stored(QUARANTINE_KEY);
+    expect(kept).toHaveLength(4);
+    expect(kept[0].value).toBeDefined();
+    expect(await stored(RECIPE_INDEX_KEY)).toEqual(['good']);
+  });
+
+  it('keeps a malformed recipe in storage when it could not be quarantined', async () => {
+    await AsyncStorage.multiSet([
+      [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)],
+      [RECIPE_INDEX_KEY, JSON.stringify(['good', 'broken'])],
+      [recipeKey('good'), JSON.stringify(recipe('good'))],
+      [recipeKey('broken'), '{"id":'],
+    ]);
+    AsyncStorage.setItem.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(loadState()).rejects.toThrow('disk full');
+
+    expect(await AsyncStorage.getItem(recipeKey('broken'))).toBe('{"id":');
+    expect(AsyncStorage.multiRemove).not.toHaveBeenCalled();
+  });
+
+  it('recovers every stored recipe when the index is damaged', async () => {
+    await AsyncStorage.multiSet([
+      [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)],
+      [RECIPE_INDEX_KEY, 'oops'],
+      [recipeKey('a'), JSON.stringify(recipe('a'))],
+      [recipeKey('b'), JSON.stringify(recipe('b'))],
+    ]);
+
+    const { payload, quarantined } = await loadState();
+
+    expect(payload.recipes.map(r => r.id).sort()).toEqual(['a', 'b']);
+    expect(quarantined.map(q => q.key)).toEqual([RECIPE_INDEX_KEY]);
+  });
+
+  it('rejects when storage itself cannot be read', async () => {
+    AsyncStorage.multiGet.mockRejectedValueOnce(new Error('disk gone'));
+    await expect(loadState()).rejects.toThrow('disk gone');
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+});
+
+describe('createWriter', () => {
+  const library = (...recipes) => ({ recipesById: Object.fromEntries(recipes.map(r => [r.id, r])), recipeIds: recipes.map(r => r.id) });
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('batches a burst of changes into one write of the latest state', async () => {
+    const writer = createWriter({ delay: 300 });
+    writer.schedule({ shopping: [1] });
+    writer.schedule({ shopping: [1, 2] });
+    writer.schedule({ shopping: [1, 2, 3] });
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(300);
+    await writer.flush();
+
+    expect(AsyncStorage.multiSet).toHaveBeenCalledTimes(1);
+    expect(await stored(storageKeys.shopping)).toEqual([1, 2, 3]);
+  });
+
+  it('writes only the keys that changed', async () => {
+    const a = recipe('a');
+    const b = recipe('b');
+    const writer = createWriter();
+    writer.schedule({ ...library(a, b), shopping: [] });
+    await writer.flush();
+    AsyncStorage.multiSet.mockClear();
+
+    writer.schedule({ ...library(a, { ...b, title: 'New' }), shopping: [] });
+    await writer.flush();
+
+    expect(AsyncStorage.multiSet).toHaveBeenCalledWith([[recipeKey('b'), expect.stringContaining('New')]]);
+  });
+
+  it('skips values primed from storage and removes purged recipes', async () => {
+    const a = recipe('a');
+    const writer = createWriter();
+    writer.prime({ [RECIPE_INDEX_KEY]: '["a","b"]', [recipeKey('a')]: JSON.stringify(a), [recipeKey('b')]: '{}' });
+
+    writer.schedule(library(a));
+    await writer.flush();
+
+    expect(AsyncStorage.multiSet).toHaveBeenCalledWith([[RECIPE_INDEX_KEY, '["a"]']]);
+    expect(AsyncStorage.multiRemove).toHaveBeenCalledWith([recipeKey('b')]);
+  });
+
+  it('reports a failed write and clears the error once a retry succeeds', async () => {
+    const onError = jest.fn();
+    const writer = createWriter({ onError });
+    AsyncStorage.multiSet.mockRejectedValueOnce(new Error('disk full'));
+
+    writer.schedule({ shopping: ['milk'] });
+    await writer.flush();
+    expect(onError).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'disk full' }));
+    expect(await AsyncStorage.getItem(storageKeys.shopping)).toBeNull();
+
+    await writer.retry();
+    expect(onError).toHaveBeenLastCalledWith(null);
+    expect(await stored(storageKeys.shopping)).toEqual(['milk']);
+  });
+});
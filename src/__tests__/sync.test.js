@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+// Two devices syncing through the stand-in server (server/sync-server.js) on a free local port.
+import { createServer, createStore } from '../../server/sync-server';
+import { changeRecipe, dropRecipes, normalizeRecipes, selectRecipes } from '../library';
+import { applySyncResult, enableSync, syncNow, trackRecipeChanges } from '../sync';
+
+const recipe = (id, title) => ({
+  id, title, tags: [], image: '', ingredients: [{ text: '1 egg' }], instructions: 'Cook.', servings: 1, owner: 'me', createdAt: 1,
+});
+
+// A device is the part of the app state sync works on; `edit` runs a change through the same
+// tracking the reducer uses, at a fixed time so conflicts are decided predictably.
+const device = (url, id, recipes = []) => {
+  const library = normalizeRecipes(recipes);
+  return { ...library, sync: enableSync(recipes, url, id) };
+};
+const edit = (state, change, now) => trackRecipeChanges(state, { ...state, ...change(state) }, now);
+const retitle = (id, title) => (state) => changeRecipe(state, id, r => ({ ...r, title }));
+const titles = (state) => selectRecipes(state).map(r => r.title);
+
+// Like `runSync` in App.js: sync, then drop the recipes the server deleted.
+async function sync(state, fetchImpl = fetch) {
+  const result = await syncNow(state, fetchImpl);
+  const { sync: next, purged, ...library } = applySyncResult(state, result);
+  return { ...state, ...library, ...dropRecipes(library, purged), sync: next };
+}
+
+let server;
+let url;
+
+beforeEach(async () => {
+  server = createServer(createStore(null));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => new Promise(resolve => server.close(resolve)));
+
+it('copies recipes from one device to the other and leaves nothing queued', async () => {
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup'), { ...recipe('demo', 'Sample'), owner: 'sample' }]);
+  let b = device(url, 'phone-b');
+
+  a = await sync(a);
+  b = await sync(b);
+
+  expect(a.sync.pending).toEqual([]);
+  expect(titles(b)).toEqual(['Soup']); // samples stay on each device
+});
+
+it('keeps the later edit when both devices changed a recipe and records the earlier one as a conflict', async () => {
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup')]);
+  let b = device(url, 'phone-b');
+  a = await sync(a);
+  b = await sync(b);
+
+  a = edit(a, retitle('soup', 'Soup A'), 100);
+  b = edit(b, retitle('soup', 'Soup B'), 200);
+  a = await sync(a);
+  b = await sync(b);
+  a = await sync(a);
+
+  // B pulled A's pushed edit while its own was still queued, so the conflict shows up on B.
+  expect(titles(a)).toEqual(['Soup B']);
+  expect(titles(b)).toEqual(['Soup B']);
+  expect(b.sync.conflicts).toEqual([expect.objectContaining({ recipeId: 'soup', kept: 'device' })]);
+  expect(b.sync.conflicts[0].other.recipe.title).toBe('Soup A');
+  expect(a.sync.conflicts).toEqual([]);
+  expect(a.sync.pending).toEqual([]);
+  expect(b.sync.pending).toEqual([]);
+});
+
+it('lets the later edit win over the earlier one regardless of who syncs first', async () => {
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup')]);
+  let b = device(url, 'phone-b');
+  a = await sync(a);
+  b = await sync(b);
+
+  a = edit(a, retitle('soup', 'Soup A'), 300);
+  b = edit(b, retitle('soup', 'Soup B'), 200);
+  b = await sync(b);
+  a = await sync(a);
+  b = await sync(b);
+
+  expect(titles(a)).toEqual(['Soup A']);
+  expect(titles(b)).toEqual(['Soup A']);
+  expect(a.sync.conflicts).toEqual([expect.objectContaining({ recipeId: 'soup', kept: 'device' })]);
+  expect(a.sync.conflicts[0].other.recipe.title).toBe('Soup B');
+  expect(b.sync.conflicts).toEqual([]);
+});
+
+it('removes a purged recipe on the other device through a tombstone', async () => {
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup'), recipe('salad', 'Salad')]);
+  let b = device(url, 'phone-b');
+  a = await sync(a);
+  b = await sync(b);
+
+  b = edit(b, (state) => dropRecipes(state, ['soup']), 100);
+  expect(Object.keys(b.sync.tombstones)).toEqual(['soup']);
+  b = await sync(b);
+  a = await sync(a);
+
+  expect(titles(a)).toEqual(['Salad']);
+  expect(b.sync.tombstones).toEqual({});
+  expect(a.sync.conflicts).toEqual([]);
+});
+
+it('records a conflict when a recipe edited here was deleted on the other device', async () => {
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup')]);
+  let b = device(url, 'phone-b');
+  a = await sync(a);
+  b = await sync(b);
+
+  b = edit(b, (state) => dropRecipes(state, ['soup']), 300);
+  a = edit(a, retitle('soup', 'Soup A'), 200);
+  b = await sync(b);
+  a = await sync(a);
+
+  expect(titles(a)).toEqual([]);
+  expect(a.sync.conflicts).toEqual([expect.objectContaining({ recipeId: 'soup', kept: 'server' })]);
+  expect(a.sync.conflicts[0].other.recipe.title).toBe('Soup A');
+});
+
+it('keeps offline changes queued and pushes them once the server is reachable', async () => {
+  const offline = () => Promise.reject(new TypeError('Network request failed'));
+  let a = device(url, 'phone-a', [recipe('soup', 'Soup')]);
+  let b = device(url, 'phone-b');
+  a = await sync(a);
+  b = await sync(b);
+
+  a = edit(a, retitle('soup', 'Soup (offline)'), 100);
+  a = edit(a, (state) => dropRecipes(state, ['soup']), 150);
+  a = edit(a, (state) => ({ ...state, ...normalizeRecipes([recipe('stew', 'Stew'), ...selectRecipes(state)]) }), 160);
+  await expect(sync(a, offline)).rejects.toThrow('could not be reached');
+  expect(a.sync.pending).toEqual(['stew']);
+  expect(Object.keys(a.sync.tombstones)).toEqual(['soup']);
+
+  a = await sync(a);
+  b = await sync(b);
+
+  expect(titles(b)).toEqual(['Stew']);
+  expect(a.sync.pending).toEqual([]);
+  expect(a.sync.tombstones).toEqual({});
+});
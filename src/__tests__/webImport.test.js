@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { extractRecipeFromHtml, fetchRecipeFromUrl } from '../webImport';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('extractRecipeFromHtml', () => {
+  it('reads a Recipe from a JSON-LD @graph, skipping invalid blocks', () => {
+    const { recipe, source } = extractRecipeFromHtml(fixture('jsonld-graph.html'), 'https://kitchen.example/chili/');
+
+    expect(source).toBe('json-ld');
+    expect(recipe.title).toBe('Weeknight Chili & Cornbread');
+    expect(recipe.tags).toEqual(['Dinner', 'Comfort food']);
+    expect(recipe.ingredients).toEqual(['1 lb ground beef', '2 cans kidney beans', '1 onion, diced']);
+    expect(recipe.calories).toBe(520);
+  });
+
+  it('flattens HowToSection steps in order', () => {
+    const { recipe } = extractRecipeFromHtml(fixture('jsonld-graph.html'), 'https://kitchen.example/chili/');
+    expect(recipe.steps).toEqual(['Brown the beef with the onion.', 'Add the beans and simmer for 20 minutes.', 'Serve with cornbread.']);
+  });
+
+  it('takes the url of an image object and resolves it against the page', () => {
+    const { recipe } = extractRecipeFromHtml(fixture('jsonld-graph.html'), 'https://kitchen.example/chili/');
+    expect(recipe.image).toBe('https://kitchen.example/img/chili-1200.jpg');
+  });
+
+  it('reads servings from a recipeYield string and keeps the prep/cook split', () => {
+    const { recipe } = extractRecipeFromHtml(fixture('jsonld-graph.html'), 'https://kitchen.example/chili/');
+    expect(recipe.servings).toBe(4);
+    expect(recipe).toMatchObject({ prepMinutes: 15, cookMinutes: 30, prepTime: '45 min' });
+  });
+
+  it('handles a plain Recipe with text instructions, a yield list and only a total time', () => {
+    const { recipe, source } = extractRecipeFromHtml(fixture('jsonld-simple.html'), 'https://example.com/banana');
+
+    expect(source).toBe('json-ld');
+    expect(recipe.title).toBe('Banana Bread');
+    expect(recipe.image).toBe('https://cdn.example.com/banana-bread.jpg');
+    expect(recipe.servings).toBe(1);
+    expect(recipe.prepTime).toBe('1 h 10 min');
+    expect(recipe.prepMinutes).toBeUndefined();
+    expect(recipe.steps).toHaveLength(3);
+  });
+
+  it('falls back to schema.org microdata', () => {
+    const { recipe, source } = extractRecipeFromHtml(fixture('microdata.html'), 'https://pancakes.example/recipes/grandma');
+
+    expect(source).toBe('microdata');
+    expect(recipe.title).toBe("Grandma's Pancakes");
+    expect(recipe.image).toBe('https://pancakes.example/recipes/images/pancakes.jpg');
+    expect(recipe.tags).toEqual(['Breakfast']);
+    expect(recipe.ingredients).toEqual(['1 cup flour', '1 large egg', '1 cup milk']);
+    expect(recipe.steps).toEqual(['Whisk everything together.', 'Fry in a hot pan until golden.']);
+    expect(recipe).toMatchObject({ servings: 8, prepMinutes: 10, cookMinutes: 15, calories: 210 });
+  });
+
+  it('falls back to Open Graph tags with the description as the only step', () => {
+    const { recipe, source } = extractRecipeFromHtml(fixture('opengraph.html'), 'https://tarts.example/lemon');
+
+    expect(source).toBe('opengraph');
+    expect(recipe.title).toBe('Lemon Tart');
+    expect(recipe.image).toBe('https://static.example.com/tart.jpg');
+    expect(recipe.ingredients).toEqual([]);
+    expect(recipe.steps).toEqual(['A crisp pastry shell with a silky lemon curd.']);
+  });
+
+  it('returns null for a page without a recipe or a title', () => {
+    expect(extractRecipeFromHtml(fixture('no-recipe.html'), 'https://example.com/')).toBeNull();
+    expect(extractRecipeFromHtml(undefined)).toBeNull();
+  });
+});
+
+describe('fetchRecipeFromUrl', () => {
+  // Stands in for `fetch`, serving the fixtures by path.
+  const fakeFetch = (pages) => jest.fn(async (url) => {
+    const name = pages[new URL(url).pathname];
+    return name
+      ? { ok: true, status: 200, text: async () => fixture(name) }
+      : { ok: false, status: 404, text: async () => '' };
+  });
+
+  it('fetches the page and extracts its recipe', async () => {
+    const fetchImpl = fakeFetch({ '/chili': 'jsonld-graph.html' });
+    const { recipe } = await fetchRecipeFromUrl('  https://kitchen.example/chili ', fetchImpl);
+
+    expect(fetchImpl).toHaveBeenCalledWith('https://kitchen.example/chili', expect.objectContaining({ headers: { Accept: 'text/html' } }));
+    expect(recipe.title).toBe('Weeknight Chili & Cornbread');
+  });
+
+  it('rejects addresses that are not web pages', async () => {
+    await expect(fetchRecipeFromUrl('kitchen.example/chili', fakeFetch({}))).rejects.toThrow('starting with http');
+  });
+
+  it('rejects with the HTTP status when the page does not load', async () => {
+    await expect(fetchRecipeFromUrl('https://kitchen.example/missing', fakeFetch({}))).rejects.toThrow('HTTP 404');
+  });
+
+  it('rejects when the page has no recipe', async () => {
+    await expect(fetchRecipeFromUrl('https://example.com/empty', fakeFetch({ '/empty': 'no-recipe.html' }))).rejects.toThrow('No recipe was found');
+  });
+});
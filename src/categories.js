@@ -0,0 +1,94 @@
+/**
+ * User-defined categories and multi-tag recipes.
+ *
+ * `state.categories` is the ordered list of category names shown in the Feed; a recipe lists the
+ * categories it belongs to in `tags`. Names are unique ignoring case. Renaming or deleting a category
+ * rewrites the tags of every recipe, so no recipe keeps a tag that isn't in the list.
+ */
+
+export const DEFAULT_CATEGORIES = [
+  'Breakfast', 'Lunch', 'Dinner', 'Dessert', 'Snacks', 'Soups', 'Salads',
+  'Vegan', 'Vegetarian', 'Keto', 'Gluten-Free', 'Drinks',
+];
+
+// Built-in Feed filters; they can't be used as category names.
+export const ALL = 'All';
+export const MY_FOOD = 'My Food';
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const findCategory = (categories, name) => categories.find(c => sameName(c, name));
+
+/** Why `name` can't be used (for a new category, or renaming `current`), or null when it can. */
+export function validateCategoryName(categories, name, current = null) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) return 'Enter a name.';
+  if (sameName(trimmed, ALL) || sameName(trimmed, MY_FOOD)) return `"${trimmed}" is reserved.`;
+  const existing = findCategory(categories, trimmed);
+  if (existing && existing !== current) return `There already is a "${existing}" category.`;
+  return null;
+}
+
+// ---- Recipe tags -----------------------------------------------------------
+/** Converts a recipe with a single legacy `category` to `tags`; recipes that have tags are returned as-is. */
+export function upgradeTags(recipe) {
+  if (Array.isArray(recipe.tags)) return recipe;
+  const { category, ...rest } = recipe;
+  const name = typeof category === 'string' ? category.trim() : '';
+  return { ...rest, tags: name && !sameName(name, MY_FOOD) ? [name] : [] };
+}
+
+/** Tags spelled like the matching category ('dinner' -> 'Dinner'); unknown tags are kept. */
+export const canonicalTags = (tags, categories) => [...new Set(tags.map(t => findCategory(categories, t) || t.trim()))];
+
+export const toggleTag = (tags, name) => (tags.includes(name) ? tags.filter(t => t !== name) : [...tags, name]);
+
+/** `categories` plus any tag used by `recipes` that isn't in it yet, appended in first-seen order. */
+export function mergeCategories(categories, recipes) {
+  const next = [...categories];
+  recipes.forEach(r => (r.tags || []).forEach(tag => {
+    if (!findCategory(next, tag)) next.push(tag);
+  }));
+  return next;
+}
+
+/** Recipe count per category name. */
+export function categoryCounts(recipes) {
+  const counts = {};
+  recipes.forEach(r => r.tags.forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return counts;
+}
+
+// ---- Editing the list ------------------------------------------------------
+export const addCategory = (categories, name) => [...categories, name.trim()];
+
+export function moveCategory(categories, name, delta) {
+  const from = categories.indexOf(name);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= categories.length) return categories;
+  const next = [...categories];
+  next.splice(from, 1);
+  next.splice(to, 0, name);
+  return next;
+}
+
+/** Renames a category in the list and in every recipe's tags; takes and returns `{ categories, recipes }`. */
+export function renameCategory({ categories, recipes }, from, to) {
+  const name = to.trim();
+  return {
+    categories: categories.map(c => (c === from ? name : c)),
+    recipes: recipes.map(r => (r.tags.includes(from) ? { ...r, tags: r.tags.map(t => (t === from ? name : t)) } : r)),
+  };
+}
+
+/** Removes a category; its recipes are retagged with `reassignTo`, or just lose the tag when it is null. */
+export function deleteCategory({ categories, recipes }, name, reassignTo = null) {
+  return {
+    categories: categories.filter(c => c !== name),
+    recipes: recipes.map(r => {
+      if (!r.tags.includes(name)) return r;
+      const tags = r.tags.filter(t => t !== name);
+      return { ...r, tags: reassignTo && !tags.includes(reassignTo) ? [...tags, reassignTo] : tags };
+    }),
+  };
+}
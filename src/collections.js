@@ -0,0 +1,70 @@
+/**
+ * Named recipe collections ("Weeknight", "Holiday baking").
+ *
+ * A collection is `{ id, name, cover, recipeIds }` with `recipeIds` in the user's order; a recipe can
+ * be in any number of collections. Favorites is the built-in collection FAVORITES_ID: it can't be
+ * renamed or deleted, and it replaces the old `foodie:favorites` map (see `collectionsFromFavorites`).
+ */
+
+export const FAVORITES_ID = 'favorites';
+
+export const favoritesCollection = (recipeIds = []) => ({ id: FAVORITES_ID, name: 'Favorites', cover: '', recipeIds });
+
+export const DEFAULT_COLLECTIONS = [favoritesCollection()];
+
+/** Collections for the legacy `{ id: true }` favorites map. */
+export function collectionsFromFavorites(favorites) {
+  const ids = Object.keys(favorites || {}).filter(id => favorites[id]);
+  return [favoritesCollection(ids)];
+}
+
+export const isBuiltIn = (collection) => collection.id === FAVORITES_ID;
+
+const update = (collections, id, fn) => collections.map(c => (c.id === id ? fn(c) : c));
+
+// ---- Collections -----------------------------------------------------------
+export const createCollection = (collections, { id, name, cover = '' }) => [...collections, { id, name: name.trim(), cover, recipeIds: [] }];
+
+export const renameCollection = (collections, id, name) => update(collections, id, c => (isBuiltIn(c) ? c : { ...c, name: name.trim() }));
+
+export const setCollectionCover = (collections, id, cover) => update(collections, id, c => ({ ...c, cover }));
+
+export const deleteCollection = (collections, id) => collections.filter(c => c.id !== id || isBuiltIn(c));
+
+/** Cover image: the chosen one, else the first recipe's photo. */
+export function coverFor(collection, recipesById) {
+  if (collection.cover) return collection.cover;
+  const first = collection.recipeIds.map(id => recipesById[id]).find(r => r?.image);
+  return first ? first.image : '';
+}
+
+// ---- Recipes in collections ------------------------------------------------
+export const inCollection = (collections, id, recipeId) => !!collections.find(c => c.id === id)?.recipeIds.includes(recipeId);
+
+export const isFavorite = (collections, recipeId) => inCollection(collections, FAVORITES_ID, recipeId);
+
+export const collectionsWithRecipe = (collections, recipeId) => collections.filter(c => c.recipeIds.includes(recipeId));
+
+/** Adds the recipe at the end of the collection, or removes it when it is already there. */
+export const toggleInCollection = (collections, id, recipeId) => update(collections, id, c => ({
+  ...c,
+  recipeIds: c.recipeIds.includes(recipeId) ? c.recipeIds.filter(r => r !== recipeId) : [...c.recipeIds, recipeId],
+}));
+
+export function moveInCollection(collections, id, recipeId, delta) {
+  return update(collections, id, c => {
+    const from = c.recipeIds.indexOf(recipeId);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= c.recipeIds.length) return c;
+    const recipeIds = [...c.recipeIds];
+    recipeIds.splice(from, 1);
+    recipeIds.splice(to, 0, recipeId);
+    return { ...c, recipeIds };
+  });
+}
+
+/** Drops recipes that were purged for good from every collection. */
+export function removeRecipes(collections, recipeIds) {
+  const gone = new Set(recipeIds);
+  return collections.map(c => (c.recipeIds.some(id => gone.has(id)) ? { ...c, recipeIds: c.recipeIds.filter(id => !gone.has(id)) } : c));
+}
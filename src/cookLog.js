@@ -0,0 +1,60 @@
+/**
+ * Cooking log, ratings and personal notes.
+ *
+ * The log is a flat list of `{ id, recipeId, date: 'YYYY-MM-DD', rating, notes, photo }` entries
+ * (`rating` 1–5 or null). Personal notes live in a separate `{ recipeId: text }` map so they can be
+ * kept on sample recipes, which can't be edited themselves.
+ */
+
+export const RATINGS = [1, 2, 3, 4, 5];
+
+const clampRating = (rating) => (RATINGS.includes(Number(rating)) ? Number(rating) : null);
+
+// ---- Log entries -----------------------------------------------------------
+export function logCook(log, { id, recipeId, date, rating = null, notes = '', photo = '' }) {
+  return [...log, { id, recipeId, date, rating: clampRating(rating), notes: notes.trim(), photo }];
+}
+
+export const deleteLogEntry = (log, id) => log.filter(e => e.id !== id);
+
+/** Entries for one recipe, most recent first. */
+export const entriesFor = (log, recipeId) => log
+  .filter(e => e.recipeId === recipeId)
+  .sort((a, b) => b.date.localeCompare(a.date));
+
+/** Average of the rated entries to one decimal, or null when none is rated. */
+export function averageRating(entries) {
+  const rated = entries.filter(e => e.rating);
+  if (!rated.length) return null;
+  return Math.round((rated.reduce((sum, e) => sum + e.rating, 0) / rated.length) * 10) / 10;
+}
+
+/** `{ [recipeId]: { count, lastCooked, average } }` for every recipe in the log. */
+export function cookStats(log) {
+  const byRecipe = {};
+  log.forEach(e => { (byRecipe[e.recipeId] = byRecipe[e.recipeId] || []).push(e); });
+  return Object.fromEntries(Object.entries(byRecipe).map(([id, entries]) => [id, {
+    count: entries.length,
+    lastCooked: entries.reduce((last, e) => (e.date > last ? e.date : last), ''),
+    average: averageRating(entries),
+  }]));
+}
+
+export const formatStars = (rating) => '★'.repeat(rating || 0) + '☆'.repeat(5 - (rating || 0));
+
+// ---- Notes -----------------------------------------------------------------
+export function setRecipeNote(notes, recipeId, text) {
+  const next = { ...notes };
+  if (text.trim()) next[recipeId] = text;
+  else delete next[recipeId];
+  return next;
+}
+
+// ---- Purge -----------------------------------------------------------------
+/** Drops log entries and notes of recipes that were purged for good. */
+export function forgetRecipes({ cookLog, recipeNotes }, ids) {
+  const gone = new Set(ids);
+  const notes = { ...recipeNotes };
+  ids.forEach(id => { delete notes[id]; });
+  return { cookLog: cookLog.filter(e => !gone.has(e.recipeId)), recipeNotes: notes };
+}
@@ -0,0 +1,136 @@
+/**
+ * Diet compatibility and allergen flags derived from a recipe's ingredients.
+ *
+ * Matching works on ingredientKey words, so 'Parmesan (grated)' and '2 eggs' are recognized, and a
+ * phrase listed under `except` ('coconut milk', 'eggplant', 'nutmeg') never counts for that flag.
+ * Optional ingredients are included for allergens (better safe) but ignored for diet claims.
+ */
+import { ingredientKey } from './ingredients';
+
+// ---- Word lists ------------------------------------------------------------
+export const ALLERGENS = [
+  {
+    key: 'gluten', label: 'Gluten', icon: '🌾',
+    words: ['wheat', 'flour', 'bread', 'sourdough', 'toast', 'bun', 'roll', 'bagel', 'pita', 'tortilla', 'crouton', 'pasta', 'spaghetti', 'noodle', 'couscous', 'barley', 'rye', 'semolina', 'breadcrumb', 'panko', 'cracker', 'biscuit', 'beer', 'soy sauce', 'seitan'],
+    except: ['rice noodle', 'gluten-free', 'corn tortilla', 'rice flour', 'almond flour', 'coconut flour', 'tamari'],
+  },
+  {
+    key: 'dairy', label: 'Dairy', icon: '🥛',
+    words: ['milk', 'butter', 'cream', 'cheese', 'parmesan', 'mozzarella', 'feta', 'cheddar', 'ricotta', 'yogurt', 'yoghurt', 'ghee', 'whey', 'caesar dressing'],
+    except: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'coconut cream', 'peanut butter', 'almond butter', 'cashew butter', 'butternut', 'cream of tartar'],
+  },
+  {
+    key: 'eggs', label: 'Eggs', icon: '🥚',
+    words: ['egg', 'mayonnaise', 'mayo', 'aioli', 'meringue', 'caesar dressing'],
+    except: ['eggplant'],
+  },
+  {
+    key: 'nuts', label: 'Tree nuts', icon: '🌰',
+    words: ['almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'nut'],
+    except: ['nutmeg', 'butternut', 'coconut', 'peanut', 'chestnut', 'water chestnut'],
+  },
+  { key: 'peanuts', label: 'Peanuts', icon: '🥜', words: ['peanut'], except: [] },
+  {
+    key: 'shellfish', label: 'Shellfish', icon: '🦐',
+    words: ['shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'scallop', 'mussel', 'clam', 'oyster', 'squid', 'calamari'],
+    except: ['oyster mushroom'],
+  },
+  {
+    key: 'fish', label: 'Fish', icon: '🐟',
+    words: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'sardine', 'trout', 'mackerel', 'haddock', 'tilapia', 'caesar dressing', 'worcestershire'],
+    except: [],
+  },
+  { key: 'soy', label: 'Soy', icon: '🫘', words: ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari'], except: [] },
+  { key: 'sesame', label: 'Sesame', icon: '⚪', words: ['sesame', 'tahini'], except: [] },
+];
+
+const MEAT = {
+  words: ['beef', 'chicken', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'ham', 'prosciutto', 'salami', 'chorizo', 'pepperoni', 'veal', 'duck', 'venison', 'gelatin', 'lard', 'meat', 'steak', 'mince'],
+  except: ['mincemeat'],
+};
+const ANIMAL_PRODUCTS = { words: ['honey'], except: [] };
+const HIGH_CARB = {
+  words: ['sugar', 'flour', 'bread', 'sourdough', 'toast', 'bun', 'bagel', 'pita', 'tortilla', 'crouton', 'pasta', 'spaghetti', 'noodle', 'rice', 'potato', 'oat', 'couscous', 'quinoa', 'corn', 'bean', 'lentil', 'chickpea', 'banana', 'honey', 'maple syrup', 'syrup', 'juice'],
+  except: ['cauliflower rice', 'green bean', 'sugar-free', 'lemon juice', 'lime juice'],
+};
+
+// Diet categories a recipe can be filed under, with the flags that contradict each.
+export const DIETS = {
+  Vegan: { label: 'Vegan', conflicts: ['meat', 'fish', 'shellfish', 'dairy', 'eggs', 'animal'] },
+  Vegetarian: { label: 'Vegetarian', conflicts: ['meat', 'fish', 'shellfish'] },
+  Keto: { label: 'Keto', conflicts: ['carbs'] },
+  'Gluten-Free': { label: 'Gluten-Free', conflicts: ['gluten'] },
+};
+
+const hasPhrase = (key, phrase) => ` ${key} `.includes(` ${phrase} `);
+
+function matches(key, { words, except }) {
+  const cleaned = except.reduce((k, phrase) => (hasPhrase(k, phrase) ? ` ${k} `.replace(` ${phrase} `, ' ').trim() : k), key);
+  return words.some(w => hasPhrase(cleaned, w));
+}
+
+// Non-allergen flags, checked the same way.
+const OTHER_FLAGS = { meat: MEAT, animal: ANIMAL_PRODUCTS, carbs: HIGH_CARB };
+
+// ---- Classification --------------------------------------------------------
+const cache = new WeakMap(); // recipe objects are never mutated, so results can be kept per object
+
+/**
+ * `{ allergens, diets, offenders }` for a recipe: `allergens` lists ALLERGENS keys present, `diets`
+ * the DIETS keys the ingredients are compatible with, `offenders[diet]` the ingredient names that
+ * rule a diet out.
+ */
+export function classifyRecipe(recipe) {
+  if (cache.has(recipe)) return cache.get(recipe);
+  const flagged = {}; // flag => ingredient names
+  const flag = (name, item) => { (flagged[name] = flagged[name] || []).push(item); };
+
+  (recipe.ingredients || []).forEach(ing => {
+    const key = ingredientKey(ing.item);
+    if (!key) return;
+    ALLERGENS.forEach(a => { if (matches(key, a)) flag(a.key, ing.optional ? `${ing.item} (optional)` : ing.item); });
+    if (ing.optional) return;
+    Object.entries(OTHER_FLAGS).forEach(([name, list]) => { if (matches(key, list)) flag(name, ing.item); });
+  });
+
+  const required = (name) => (flagged[name] || []).filter(item => !item.endsWith('(optional)'));
+  const offenders = Object.fromEntries(Object.entries(DIETS).map(([diet, { conflicts }]) => [
+    diet,
+    [...new Set(conflicts.flatMap(required))],
+  ]));
+  const result = {
+    allergens: ALLERGENS.map(a => a.key).filter(k => flagged[k]),
+    diets: Object.keys(DIETS).filter(d => !offenders[d].length),
+    offenders,
+  };
+  cache.set(recipe, result);
+  return result;
+}
+
+/** `{ diet, ingredients }` for the first diet tag of the recipe that its ingredients contradict, or null. */
+export function categoryConflict(recipe) {
+  const { offenders } = classifyRecipe(recipe);
+  const diet = (recipe.tags || []).find(tag => DIETS[tag] && offenders[tag].length);
+  return diet ? { diet, ingredients: offenders[diet] } : null;
+}
+
+// ---- Household allergy profile ---------------------------------------------
+export const ALLERGY_MODES = [
+  { key: 'mark', label: 'Mark unsafe recipes' },
+  { key: 'hide', label: 'Hide unsafe recipes' },
+];
+export const EMPTY_ALLERGY_PROFILE = { allergens: [], mode: 'mark' };
+
+/** Allergens of `recipe` that are in the profile. */
+export function unsafeAllergens(recipe, profile) {
+  if (!profile?.allergens?.length) return [];
+  return classifyRecipe(recipe).allergens.filter(k => profile.allergens.includes(k));
+}
+
+/** Recipes to list under the profile: unsafe ones are dropped in 'hide' mode and kept otherwise. */
+export function applyAllergyProfile(recipes, profile) {
+  if (profile?.mode !== 'hide' || !profile.allergens.length) return recipes;
+  return recipes.filter(r => !unsafeAllergens(r, profile).length);
+}
+
+export const allergenInfo = (key) => ALLERGENS.find(a => a.key === key);
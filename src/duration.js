@@ -0,0 +1,94 @@
+/**
+ * Duration parsing for the free-text `prepTime` field ('35 min', '1 h 15 min', '1.5 hours')
+ * and ISO-8601 durations ('PT1H15M') found in imported recipes.
+ */
+
+const ISO_RE = /^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+const PART_RE = /(\d+(?:[.,]\d+)?)\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/gi;
+
+function unitToMinutes(unit) {
+  const u = unit.toLowerCase();
+  if (u.startsWith('d')) return 1440;
+  if (u.startsWith('h')) return 60;
+  if (u.startsWith('s')) return 1 / 60;
+  return 1;
+}
+
+/** Minutes in a duration string, or null when nothing recognizable is found. */
+export function parseDuration(input) {
+  const str = String(input ?? '').trim();
+  if (!str) return null;
+
+  const iso = str.match(ISO_RE);
+  if (iso && str.length > 1) {
+    const [, d, h, m, s] = iso.map(Number);
+    return (d || 0) * 1440 + (h || 0) * 60 + (m || 0) + (s || 0) / 60;
+  }
+
+  const clock = str.match(/^(\d+):(\d{2})$/); // '1:15'
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  let total = 0;
+  let found = false;
+  for (const [, n, unit] of str.matchAll(PART_RE)) {
+    total += Number(n.replace(',', '.')) * unitToMinutes(unit);
+    found = true;
+  }
+  if (found) return total;
+
+  const bare = Number(str); // '45' means minutes
+  return Number.isFinite(bare) ? bare : null;
+}
+
+export function formatDuration(minutes) {
+  if (minutes == null) return '';
+  const m = Math.round(minutes);
+  if (m < 60) return `${m} min`;
+  const h = Math.floor(m / 60);
+  return m % 60 ? `${h} h ${m % 60} min` : `${h} h`;
+}
+
+/** ISO-8601 duration for exporters, e.g. 75 -> 'PT1H15M'. */
+export function toISODuration(minutes) {
+  const m = Math.round(minutes || 0);
+  const h = Math.floor(m / 60);
+  return `PT${h ? `${h}H` : ''}${m % 60 || !h ? `${m % 60}M` : ''}`;
+}
+
+// ---- Durations inside free text ('simmer 20 minutes', 'bake 1 hr 15 min') -------
+const TEXT_DURATION_RE = /(\d+(?:[.,]\d+)?|\d+\/\d+)(?:\s*(?:-|–|to)\s*(\d+(?:[.,]\d+)?))?\s*(hours?|hrs?|h|minutes?|mins?|seconds?|secs?)\b/gi;
+
+const toNumber = (s) => (s.includes('/') ? Number(s.split('/')[0]) / Number(s.split('/')[1]) : Number(s.replace(',', '.')));
+
+/**
+ * Durations mentioned in `text`, in order, as `{ label, seconds, start, end }`. Ranges use their lower
+ * bound and adjacent parts ('1 hr 15 min', '1 hour and 5 minutes') are combined into one duration.
+ */
+export function findDurations(text) {
+  const str = String(text ?? '');
+  const found = [];
+  for (const m of str.matchAll(TEXT_DURATION_RE)) {
+    const seconds = Math.round(toNumber(m[1]) * unitToMinutes(m[3]) * 60);
+    if (!seconds) continue;
+    const prev = found[found.length - 1];
+    const start = m.index;
+    const end = m.index + m[0].length;
+    if (prev && /^\s*(and\s*)?$/i.test(str.slice(prev.end, start))) {
+      prev.seconds += seconds;
+      prev.end = end;
+      prev.label = str.slice(prev.start, end);
+    } else {
+      found.push({ label: m[0], seconds, start, end });
+    }
+  }
+  return found;
+}
+
+/** '1:05:09' / '4:05' countdown display. */
+export function formatClock(totalSeconds) {
+  const t = Math.max(0, Math.ceil(totalSeconds));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = String(t % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
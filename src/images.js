@@ -0,0 +1,128 @@
+/**
+ * Recipe images kept in the app's document directory.
+ *
+ * Picked images are copied out of the picker's temporary cache right away. For every recipe the
+ * image is then cached locally (remote URLs are downloaded for offline viewing) and a small
+ * thumbnail is made for list cards; `state.imageCache` maps a recipe id to
+ * `{ source, file, thumbnail }`, where `source` is the `recipe.image` the files were made from.
+ *
+ * Files are named `<ownerId>__<stamp>...` (owner = recipe or collection id) so everything that
+ * belongs to a purged recipe can be found and removed. A file can outlive its owner when another
+ * recipe still uses it (a "Make my version" copy keeps the original's photo), so cleanup skips
+ * every uri in `imagesInUse`. Where there is no file system (web) the functions leave uris
+ * untouched.
+ */
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+
+export const IMAGE_DIR = FileSystem.documentDirectory ? `${FileSystem.documentDirectory}images/` : null;
+export const THUMB_WIDTH = 400;
+
+export const canStoreImages = Platform.OS !== 'web' && !!IMAGE_DIR;
+
+const isStored = (uri) => !!uri && uri.startsWith(IMAGE_DIR);
+const isRemote = (uri) => /^https?:\/\//i.test(uri || '');
+const ownerPrefix = (ownerId) => `${ownerId}__`;
+
+async function ensureDir() {
+  const info = await FileSystem.getInfoAsync(IMAGE_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(IMAGE_DIR, { intermediates: true });
+}
+
+const newPath = (ownerId, suffix = '') => `${IMAGE_DIR}${ownerPrefix(ownerId)}${Date.now().toString(36)}${suffix}.jpg`;
+
+const deleteFile = (uri) => FileSystem.deleteAsync(uri, { idempotent: true });
+
+// ---- Picked images ---------------------------------------------------------
+/** Copies a picked image into app storage; resolves the uri to keep (the original one on web). */
+export async function persistPickedImage(uri, ownerId) {
+  if (!canStoreImages || !uri || isStored(uri) || isRemote(uri)) return uri;
+  await ensureDir();
+  const to = newPath(ownerId);
+  await FileSystem.copyAsync({ from: uri, to });
+  return to;
+}
+
+// ---- Cache and thumbnails --------------------------------------------------
+/** Recipes whose image isn't cached yet, or changed since; `failed` holds sources to skip this session. */
+export const imagesToCache = (recipes, imageCache, failed = new Set()) => (canStoreImages ? recipes.filter(r => (
+  r.image && !failed.has(r.image) && imageCache[r.id]?.source !== r.image && (isRemote(r.image) || r.image.startsWith('file:'))
+)) : []);
+
+/**
+ * Caches `recipe.image` and makes its thumbnail; resolves the new `{ source, file, thumbnail }`.
+ * Files made for a previous source (`previous`) are deleted; picked originals are kept because
+ * earlier revisions of the recipe may still use them.
+ */
+export async function cacheRecipeImage(recipe, previous) {
+  await ensureDir();
+  const source = recipe.image;
+  let file = source;
+  if (isRemote(source)) {
+    file = newPath(recipe.id, '_cache');
+    const res = await FileSystem.downloadAsync(source, file);
+    if (res.status !== 200) {
+      await deleteFile(file);
+      throw new Error(`Download failed (${res.status})`);
+    }
+  } else if (!isStored(source)) {
+    // picked before images were persisted; copy it while the picker cache still has it
+    file = newPath(recipe.id, '_cache');
+    await FileSystem.copyAsync({ from: source, to: file });
+  }
+  const resized = await ImageManipulator.manipulateAsync(file, [{ resize: { width: THUMB_WIDTH } }], {
+    compress: 0.7,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+  const thumbnail = newPath(recipe.id, '_thumb');
+  await FileSystem.moveAsync({ from: resized.uri, to: thumbnail });
+
+  if (previous) {
+    if (previous.file !== previous.source) await deleteFile(previous.file);
+    await deleteFile(previous.thumbnail);
+  }
+  return { source, file, thumbnail };
+}
+
+/** Uris to try for a recipe image, best first: the thumbnail (for cards) or local copy, then the original. */
+export function imageCandidates(recipe, imageCache, { thumbnail = false } = {}) {
+  const cached = imageCache[recipe.id];
+  const fresh = cached && cached.source === recipe.image ? cached : null;
+  return [thumbnail && fresh?.thumbnail, fresh?.file, recipe.image].filter(Boolean);
+}
+
+// ---- Cleanup ---------------------------------------------------------------
+/** Every image uri the state still refers to: recipes (trashed too), their revisions and cache, cook photos, covers and the draft. */
+export function imagesInUse(state) {
+  const uris = new Set();
+  const add = (uri) => { if (uri) uris.add(uri); };
+  Object.values(state.recipesById || {}).forEach(r => add(r.image));
+  Object.values(state.revisions || {}).forEach(list => list.forEach(rev => add(rev.recipe?.image)));
+  Object.values(state.imageCache || {}).forEach(entry => { add(entry.file); add(entry.thumbnail); });
+  (state.cookLog || []).forEach(e => add(e.photo));
+  (state.collections || []).forEach(c => add(c.cover));
+  add(state.draft?.form?.image);
+  return uris;
+}
+
+/** Deletes every stored file of the given recipes/collections, except uris in `inUse`. Never rejects. */
+export async function deleteImagesOf(ownerIds, inUse = new Set()) {
+  if (!canStoreImages || !ownerIds.length) return;
+  try {
+    const info = await FileSystem.getInfoAsync(IMAGE_DIR);
+    if (!info.exists) return;
+    const prefixes = ownerIds.map(ownerPrefix);
+    const names = await FileSystem.readDirectoryAsync(IMAGE_DIR);
+    const doomed = names.filter(n => prefixes.some(p => n.startsWith(p)) && !inUse.has(IMAGE_DIR + n));
+    await Promise.all(doomed.map(n => deleteFile(IMAGE_DIR + n)));
+  } catch (e) {
+    // Leftover files only cost space, so a failed cleanup is not worth bothering the user with.
+  }
+}
+
+export function dropImageCache(imageCache, recipeIds) {
+  const next = { ...imageCache };
+  recipeIds.forEach(id => { delete next[id]; });
+  return next;
+}
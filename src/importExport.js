@@ -0,0 +1,231 @@
+/**
+ * Moving recipes in and out of the app.
+ *
+ * Export formats: a versioned Foodie JSON bundle (lossless), schema.org `Recipe` JSON-LD and
+ * printable Markdown. Import accepts the bundle or schema.org JSON-LD (single object, array or
+ * `@graph`), validates every recipe separately and resolves id collisions with existing recipes.
+ */
+import { upgradeTags } from './categories';
+import { formatDuration, parseDuration, toISODuration } from './duration';
+import { upgradeRecipe } from './ingredients';
+import { getSteps } from './steps';
+import { sanitizeRecipe, validateRecipe } from './storage';
+
+export const BUNDLE_FORMAT = 'foodie-bundle';
+export const BUNDLE_VERSION = 2; // v2: `tags` instead of a single `category`
+
+// Fields a recipe is exported with; anything else (owner, local bookkeeping) is app-specific.
+// `category` only appears in v1 bundles and is turned into tags on import.
+const RECIPE_FIELDS = [
+  'id', 'title', 'tags', 'category', 'image', 'ingredients', 'steps', 'instructions',
+  'prepTime', 'prepMinutes', 'cookMinutes', 'servings', 'calories', 'difficulty', 'createdAt', 'forkedFrom',
+];
+const pick = (recipe) => Object.fromEntries(RECIPE_FIELDS.filter(f => recipe[f] !== undefined).map(f => [f, recipe[f]]));
+
+// ---- Export ----------------------------------------------------------------
+export function toBundle(recipes) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    recipes: recipes.map(pick),
+  };
+}
+
+export function toSchemaOrg(recipe) {
+  const minutes = parseDuration(recipe.prepTime);
+  // With a prep/cook split `prepTime` holds the total, see src/recipeForm.js.
+  const times = recipe.cookMinutes
+    ? { prepTime: toISODuration(recipe.prepMinutes), cookTime: toISODuration(recipe.cookMinutes), totalTime: toISODuration(minutes) }
+    : { prepTime: minutes != null ? toISODuration(minutes) : undefined };
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.title,
+    image: recipe.image || undefined,
+    recipeCategory: recipe.tags.length ? recipe.tags.join(', ') : undefined,
+    recipeYield: `${recipe.servings} serving${recipe.servings > 1 ? 's' : ''}`,
+    ...times,
+    recipeIngredient: recipe.ingredients.map(i => i.text),
+    recipeInstructions: getSteps(recipe).map(text => ({ '@type': 'HowToStep', text })),
+    nutrition: recipe.calories
+      ? { '@type': 'NutritionInformation', calories: `${recipe.calories} calories` }
+      : undefined,
+  };
+}
+
+export function toMarkdown(recipe) {
+  return [
+    `# ${recipe.title}`,
+    '',
+    `*${[recipe.tags.join(', '), recipe.prepTime, `Serves ${recipe.servings}`, `${recipe.calories} kcal`, recipe.difficulty].filter(Boolean).join(' · ')}*`,
+    '',
+    '## Ingredients',
+    '',
+    ...recipe.ingredients.map(i => `- ${i.text}`),
+    '',
+    '## Instructions',
+    '',
+    ...getSteps(recipe).map((s, i) => `${i + 1}. ${s}`),
+    '',
+  ].join('\n');
+}
+
+export const EXPORT_FORMATS = {
+  bundle: { label: 'Foodie JSON', serialize: (recipes) => JSON.stringify(toBundle(recipes), null, 2) },
+  schemaOrg: {
+    label: 'schema.org JSON-LD',
+    serialize: (recipes) => JSON.stringify(recipes.length === 1 ? toSchemaOrg(recipes[0]) : recipes.map(toSchemaOrg), null, 2),
+  },
+  markdown: { label: 'Markdown', serialize: (recipes) => recipes.map(toMarkdown).join('\n---\n\n') },
+};
+
+// ---- schema.org -> recipe --------------------------------------------------
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const isType = (node, type) => asArray(node?.['@type']).includes(type);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeEntities(str) {
+  return String(str).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const text = (v) => (typeof v === 'string' ? decodeEntities(v.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() : '');
+
+function imageUrl(image) {
+  const first = asArray(image)[0];
+  if (typeof first === 'string') return first;
+  return first?.url || first?.contentUrl || '';
+}
+
+/** Flattens string / HowToStep / HowToSection instructions into plain step texts. */
+export function instructionSteps(instructions) {
+  if (typeof instructions === 'string') {
+    return instructions.split(/\n+/).map(text).filter(Boolean);
+  }
+  return asArray(instructions).flatMap(node => {
+    if (typeof node === 'string') return [text(node)].filter(Boolean);
+    if (isType(node, 'HowToSection') || node?.itemListElement) return instructionSteps(node.itemListElement);
+    return [text(node?.text || node?.name)].filter(Boolean);
+  });
+}
+
+function yieldServings(recipeYield) {
+  for (const y of asArray(recipeYield)) {
+    const n = typeof y === 'number' ? y : Number(String(y).match(/\d+/)?.[0]);
+    if (n > 0) return n;
+  }
+  return 1;
+}
+
+const caloriesOf = (nutrition) => Math.round(Number(String(nutrition?.calories ?? '').match(/[\d.]+/)?.[0]) || 0);
+
+/** Converts a schema.org Recipe node into an (unvalidated) app recipe without id. */
+export function fromSchemaOrg(node) {
+  const prep = parseDuration(node.prepTime);
+  const cook = parseDuration(node.cookTime);
+  const minutes = prep != null && cook != null ? prep + cook : prep ?? parseDuration(node.totalTime) ?? cook;
+  const steps = instructionSteps(node.recipeInstructions);
+  return {
+    title: text(node.name),
+    tags: asArray(node.recipeCategory).flatMap(c => text(c).split(',')).map(t => t.trim()).filter(Boolean),
+    image: imageUrl(node.image),
+    ingredients: asArray(node.recipeIngredient || node.ingredients).map(text).filter(Boolean),
+    steps,
+    instructions: steps.join('\n'),
+    prepTime: minutes != null ? formatDuration(minutes) : '',
+    ...(prep != null && cook != null ? { prepMinutes: Math.round(prep), cookMinutes: Math.round(cook) } : {}),
+    servings: yieldServings(node.recipeYield),
+    calories: caloriesOf(node.nutrition),
+    difficulty: 'Easy',
+  };
+}
+
+/** Every schema.org Recipe node in parsed JSON-LD (object, array or `@graph`). */
+export function findSchemaRecipes(json) {
+  return asArray(json).flatMap(node => {
+    if (!node || typeof node !== 'object') return [];
+    if (isType(node, 'Recipe')) return [node];
+    if (node['@graph']) return findSchemaRecipes(node['@graph']);
+    return [];
+  });
+}
+
+// ---- Import ----------------------------------------------------------------
+/**
+ * Parses pasted/exported text into `{ entries, error }` where each entry is
+ * `{ recipe, error }`: `recipe` is a validated app recipe (id only if the source had one).
+ */
+export function parseImport(input) {
+  let json;
+  try {
+    json = JSON.parse(String(input).trim());
+  } catch (e) {
+    return { entries: [], error: 'This is not valid JSON.' };
+  }
+
+  let candidates;
+  if (json && json.format === BUNDLE_FORMAT) {
+    if (!(json.version <= BUNDLE_VERSION)) {
+      return { entries: [], error: `This bundle was made by a newer version of Foodie (v${json.version}).` };
+    }
+    candidates = asArray(json.recipes).map(r => (r && typeof r === 'object' ? pick(r) : r));
+  } else {
+    const nodes = findSchemaRecipes(json);
+    if (!nodes.length) return { entries: [], error: 'No Foodie bundle or schema.org Recipe found.' };
+    candidates = nodes.map(fromSchemaOrg);
+  }
+
+  const entries = candidates.map((recipe, i) => {
+    // Validation needs an id; sources without one get a placeholder that resolveImport replaces.
+    const withId = recipe && typeof recipe === 'object' ? { ...recipe, id: recipe.id || `import-${i}` } : recipe;
+    const reason = validateRecipe(withId);
+    if (reason) return { recipe: null, error: `Recipe ${i + 1}: ${reason}` };
+    const clean = sanitizeRecipe(upgradeTags(upgradeRecipe({ ...withId, owner: 'me' })));
+    if (!recipe.id) delete clean.id;
+    return { recipe: clean, error: null };
+  });
+  return { entries, error: null };
+}
+
+export const COLLISION_STRATEGIES = [
+  { key: 'skip', label: 'Skip existing' },
+  { key: 'replace', label: 'Replace existing' },
+  { key: 'duplicate', label: 'Keep both' },
+];
+
+/**
+ * Decides what happens to each valid imported recipe given the recipes already in the app.
+ * Returns `{ add, replace, skipped }`; recipes without an id always get a fresh one.
+ * Only the user's own live recipes can be replaced: a clash with a sample or a trashed recipe is
+ * kept as a copy instead, so samples stay samples and the Trash isn't emptied behind the user's back.
+ */
+export function resolveImport(existing, recipes, strategy, makeId) {
+  const ids = new Set(existing.map(r => r.id));
+  const replaceable = new Set(existing.filter(r => r.owner === 'me' && !r.deletedAt).map(r => r.id));
+  const result = { add: [], replace: [], skipped: [] };
+  const copy = (recipe) => ({ ...recipe, id: makeId(), title: `${recipe.title} (copy)`, createdAt: Date.now() });
+  recipes.forEach(recipe => {
+    if (!recipe.id) {
+      result.add.push({ ...recipe, id: makeId(), createdAt: Date.now() });
+    } else if (!ids.has(recipe.id)) {
+      result.add.push(recipe);
+    } else if (strategy === 'replace' && replaceable.has(recipe.id)) {
+      result.replace.push(recipe);
+    } else if (strategy === 'replace' || strategy === 'duplicate') {
+      result.add.push(copy(recipe));
+    } else {
+      result.skipped.push(recipe);
+    }
+    if (recipe.id) {
+      ids.add(recipe.id);
+      replaceable.delete(recipe.id); // a second copy in the same import doesn't replace the first
+    }
+  });
+  return result;
+}
@@ -0,0 +1,326 @@
+/**
+ * Ingredient parsing, scaling and unit conversion.
+ *
+ * Recipes used to store ingredients as free text ('200g spaghetti'). Each line is now parsed into
+ * `{ text, quantity, quantityMax, unit, item, note, optional }` while keeping the original `text`,
+ * so the UI can show what the user typed and still reason about quantities.
+ */
+
+// ---- Units -----------------------------------------------------------------
+// toBase converts to grams (mass) or millilitres (volume). 'both' units are shown as-is in either system.
+export const UNITS = {
+  mg: { dim: 'mass', toBase: 0.001, system: 'metric', label: 'mg' },
+  g: { dim: 'mass', toBase: 1, system: 'metric', label: 'g' },
+  kg: { dim: 'mass', toBase: 1000, system: 'metric', label: 'kg' },
+  oz: { dim: 'mass', toBase: 28.3495, system: 'us', label: 'oz' },
+  lb: { dim: 'mass', toBase: 453.592, system: 'us', label: 'lb' },
+  ml: { dim: 'volume', toBase: 1, system: 'metric', label: 'ml' },
+  l: { dim: 'volume', toBase: 1000, system: 'metric', label: 'l' },
+  tsp: { dim: 'volume', toBase: 4.92892, system: 'both', label: 'tsp' },
+  tbsp: { dim: 'volume', toBase: 14.7868, system: 'both', label: 'tbsp' },
+  'fl oz': { dim: 'volume', toBase: 29.5735, system: 'us', label: 'fl oz' },
+  cup: { dim: 'volume', toBase: 236.588, system: 'us', label: 'cup', plural: 'cups' },
+  pint: { dim: 'volume', toBase: 473.176, system: 'us', label: 'pint', plural: 'pints' },
+  quart: { dim: 'volume', toBase: 946.353, system: 'us', label: 'quart', plural: 'quarts' },
+  gallon: { dim: 'volume', toBase: 3785.41, system: 'us', label: 'gallon', plural: 'gallons' },
+  slice: { dim: 'count', label: 'slice', plural: 'slices' },
+  clove: { dim: 'count', label: 'clove', plural: 'cloves' },
+  pinch: { dim: 'count', label: 'pinch', plural: 'pinches' },
+  dash: { dim: 'count', label: 'dash', plural: 'dashes' },
+  can: { dim: 'count', label: 'can', plural: 'cans' },
+  piece: { dim: 'count', label: 'piece', plural: 'pieces' },
+  handful: { dim: 'count', label: 'handful', plural: 'handfuls' },
+  bunch: { dim: 'count', label: 'bunch', plural: 'bunches' },
+  sprig: { dim: 'count', label: 'sprig', plural: 'sprigs' },
+  stick: { dim: 'count', label: 'stick', plural: 'sticks' },
+};
+
+const UNIT_ALIASES = {
+  mg: ['mg', 'milligram', 'milligrams'],
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilogram', 'kilograms'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'],
+  'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  cup: ['cup', 'cups'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  slice: ['slice', 'slices'],
+  clove: ['clove', 'cloves'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  piece: ['piece', 'pieces', 'pc', 'pcs'],
+  handful: ['handful', 'handfuls'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  stick: ['stick', 'sticks'],
+};
+
+const ALIAS_TO_UNIT = Object.entries(UNIT_ALIASES).reduce((acc, [unit, aliases]) => {
+  aliases.forEach(a => { acc[a] = unit; });
+  return acc;
+}, {});
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Longest aliases first so 'fl oz' wins over 'oz' and 'tbsp' over 'tbs'.
+const UNIT_RE = new RegExp(
+  `^(${Object.keys(ALIAS_TO_UNIT).sort((a, b) => b.length - a.length).map(escapeRe).join('|')})\\.?(?![a-z])`,
+  'i'
+);
+
+// ---- Quantities ------------------------------------------------------------
+const FRACTION_GLYPHS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+  '⅕': 1 / 5, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8,
+};
+const GLYPHS = Object.keys(FRACTION_GLYPHS).join('');
+const NUM = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\s?[${GLYPHS}]|\\d+(?:[.,]\\d+)?)`;
+const QTY_RE = new RegExp(`^(${NUM})(?:\\s*(?:-|–|to)\\s*(${NUM}))?\\s*`, 'i');
+
+export function parseNumber(str) {
+  const s = String(str).trim();
+  const glyph = s.match(new RegExp(`^(\\d*)\\s?([${GLYPHS}])$`));
+  if (glyph) return (Number(glyph[1]) || 0) + FRACTION_GLYPHS[glyph[2]];
+  const mixed = s.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const frac = s.match(/^(\d+)\/(\d+)$/);
+  if (frac) return Number(frac[2]) ? Number(frac[1]) / Number(frac[2]) : null;
+  const n = Number(s.replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+const NICE_FRACTIONS = [
+  [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+  [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞'],
+];
+
+export function formatNumber(n, { fractions = true } = {}) {
+  if (n == null || !Number.isFinite(n)) return '';
+  if (!fractions || n >= 10) {
+    const rounded = n >= 10 ? Math.round(n) : Math.round(n * 10) / 10;
+    return String(rounded);
+  }
+  const whole = Math.floor(n);
+  const rest = n - whole;
+  if (rest < 0.04) return String(whole);
+  if (rest > 0.96) return String(whole + 1);
+  const nice = NICE_FRACTIONS.find(([v]) => Math.abs(v - rest) < 0.04);
+  if (!nice) return String(Math.round(n * 10) / 10);
+  return whole ? `${whole}${nice[1]}` : nice[1];
+}
+
+// ---- Parsing ---------------------------------------------------------------
+const OPTIONAL_RE = /\boptional\b/i;
+
+/** Parse one free-text ingredient line into its structured form. */
+export function parseIngredient(input) {
+  const text = String(input ?? '').trim();
+  let rest = text;
+  let quantity = null;
+  let quantityMax = null;
+  let unit = null;
+  const notes = [];
+
+  // Parenthetical notes: 'Chili flakes (optional)', '2 cans (400g) tomatoes'
+  rest = rest.replace(/\s*\(([^)]*)\)\s*/g, (_, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return ' ';
+  }).trim();
+
+  const q = rest.match(QTY_RE);
+  if (q) {
+    quantity = parseNumber(q[1]);
+    quantityMax = q[2] ? parseNumber(q[2]) : null;
+    rest = rest.slice(q[0].length);
+    const u = rest.match(UNIT_RE);
+    if (u) {
+      unit = ALIAS_TO_UNIT[u[1].toLowerCase()] || null;
+      rest = rest.slice(u[0].length).trim().replace(/^of\s+/i, '');
+    }
+    // With a quantity, everything after the first comma is preparation detail.
+    const comma = rest.indexOf(',');
+    if (comma >= 0) {
+      notes.unshift(rest.slice(comma + 1).trim());
+      rest = rest.slice(0, comma);
+    }
+  }
+
+  const optional = OPTIONAL_RE.test(text);
+  const note = notes
+    .map(n => n.replace(OPTIONAL_RE, '').replace(/^[\s,;-]+|[\s,;-]+$/g, ''))
+    .filter(Boolean)
+    .join(', ');
+
+  return {
+    text,
+    quantity,
+    quantityMax,
+    unit,
+    item: rest.replace(OPTIONAL_RE, '').replace(/[\s,;-]+$/, '').trim() || text,
+    note,
+    optional,
+  };
+}
+
+// '1 onion, 2 garlic' is two ingredients on one line; '1 onion, chopped' is not.
+function splitCompound(line) {
+  const parts = line.split(',').map(s => s.trim()).filter(Boolean);
+  if (parts.length > 1 && parts.every(p => QTY_RE.test(p))) return parts;
+  return [line];
+}
+
+/** Parse textarea lines (or a legacy string array) into structured ingredients. */
+export function parseIngredients(lines) {
+  return (lines || [])
+    .map(s => String(s).trim())
+    .filter(Boolean)
+    .flatMap(splitCompound)
+    .map(parseIngredient);
+}
+
+/** Accepts legacy strings, structured ingredients or a mix, and returns structured ingredients. */
+export function normalizeIngredients(list) {
+  if (!Array.isArray(list)) return [];
+  return list.flatMap(ing => {
+    if (typeof ing === 'string') return parseIngredients([ing]);
+    if (ing && typeof ing === 'object' && typeof ing.text === 'string') {
+      return [{ ...parseIngredient(ing.text), ...ing }];
+    }
+    return [];
+  });
+}
+
+/** Upgrades a stored recipe to the current ingredient shape; safe to call on already-upgraded recipes. */
+export function upgradeRecipe(recipe) {
+  return {
+    ...recipe,
+    ingredients: normalizeIngredients(recipe.ingredients),
+    servings: Number(recipe.servings) || 1,
+  };
+}
+
+// ---- Matching --------------------------------------------------------------
+const DESCRIPTORS = /\b(ripe|fresh|large|small|medium|big|chopped|diced|minced|sliced|grated|whole|raw|cooked|boneless|skinless|extra|virgin|finely|roughly|thinly)\b/g;
+
+/** Rough English singular of one lowercase word: 'tomatoes' -> 'tomato', 'berries' -> 'berry'. */
+export function singular(word) {
+  if (/(ss|us|is)$/.test(word) || word.length < 4) return word;
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (/s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/** Normalized name used to treat 'Onions', 'large onion' and '1 onion' as the same item. */
+export function ingredientKey(item) {
+  return String(item || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(DESCRIPTORS, ' ')
+    .replace(/[^a-z&\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singular)
+    .join(' ');
+}
+
+// ---- Scaling & conversion --------------------------------------------------
+export function scaleIngredient(ing, factor) {
+  if (ing.quantity == null || factor === 1) return ing;
+  return {
+    ...ing,
+    quantity: ing.quantity * factor,
+    quantityMax: ing.quantityMax != null ? ing.quantityMax * factor : null,
+  };
+}
+
+function pickUnit(dim, base, system) {
+  if (system === 'metric') {
+    if (dim === 'mass') return base >= 1000 ? 'kg' : 'g';
+    return base >= 1000 ? 'l' : 'ml';
+  }
+  if (dim === 'mass') return base >= UNITS.lb.toBase ? 'lb' : 'oz';
+  if (base < UNITS.tbsp.toBase) return 'tsp';
+  if (base < UNITS.cup.toBase / 4) return 'tbsp';
+  return 'cup';
+}
+
+function roundMetric(n, unit) {
+  if (unit === 'kg' || unit === 'l') return Math.round(n * 100) / 100;
+  if (n >= 50) return Math.round(n / 5) * 5;
+  return Math.round(n);
+}
+
+/** Converts an ingredient to 'metric' or 'us' units; count units and spoons are left alone. */
+export function convertIngredient(ing, system) {
+  const u = UNITS[ing.unit];
+  if (!system || ing.quantity == null || !u || u.dim === 'count') return ing;
+  if (u.system === system || u.system === 'both') return ing;
+  const base = ing.quantity * u.toBase;
+  const unit = pickUnit(u.dim, base, system);
+  const convert = (q) => {
+    const n = (q * u.toBase) / UNITS[unit].toBase;
+    return system === 'metric' ? roundMetric(n, unit) : n;
+  };
+  return {
+    ...ing,
+    unit,
+    quantity: convert(ing.quantity),
+    quantityMax: ing.quantityMax != null ? convert(ing.quantityMax) : null,
+  };
+}
+
+// ---- Formatting ------------------------------------------------------------
+export function formatUnit(unit, quantity) {
+  const u = UNITS[unit];
+  if (!u) return unit || '';
+  return u.plural && quantity > 1 ? u.plural : u.label;
+}
+
+export function formatIngredient(ing) {
+  if (ing.quantity == null) return ing.text;
+  const fractions = UNITS[ing.unit]?.system !== 'metric';
+  const amount = formatNumber(ing.quantity, { fractions })
+    + (ing.quantityMax != null ? `–${formatNumber(ing.quantityMax, { fractions })}` : '');
+  const unit = ing.unit ? ` ${formatUnit(ing.unit, ing.quantityMax ?? ing.quantity)}` : '';
+  const note = ing.note ? `, ${ing.note}` : '';
+  return `${amount}${unit} ${ing.item}${note}${ing.optional ? ' (optional)' : ''}`;
+}
+
+export function formatAmount({ quantity, unit }) {
+  const fractions = UNITS[unit]?.system !== 'metric';
+  const amount = formatNumber(quantity, { fractions });
+  return unit ? `${amount} ${formatUnit(unit, quantity)}` : amount;
+}
+
+/** Adds `amount` into a list of `{ quantity, unit }`, summing into an entry with a compatible unit. */
+export function addAmount(amounts, amount) {
+  const u = UNITS[amount.unit];
+  const index = amounts.findIndex(a => {
+    if (a.unit === amount.unit) return true;
+    const au = UNITS[a.unit];
+    return !!(u && au && u.dim !== 'count' && u.dim === au.dim);
+  });
+  if (index < 0) return [...amounts, amount];
+  const target = amounts[index];
+  const quantity = target.unit === amount.unit
+    ? target.quantity + amount.quantity
+    : target.quantity + (amount.quantity * u.toBase) / UNITS[target.unit].toBase;
+  return amounts.map((a, i) => (i === index ? { ...a, quantity } : a));
+}
+
+/** Text for an ingredient at a serving factor and unit system; unchanged lines keep what the user typed. */
+export function displayIngredient(ing, { factor = 1, system = null } = {}) {
+  if (factor === 1 && !system) return ing.text;
+  const next = convertIngredient(scaleIngredient(ing, factor), system);
+  if (next === ing) return ing.text;
+  return formatIngredient(next);
+}
@@ -0,0 +1,96 @@
+/**
+ * The recipe library in normalized form, plus memoized selectors over it (`createSelectors`).
+ *
+ * State keeps recipes as `recipesById` (id => recipe) and `recipeIds` (library order, newest
+ * first) instead of one array. Changing a recipe replaces only that entry, so every other recipe
+ * object stays identical: lookups are O(1), storage rewrites just the recipes that changed (see
+ * `createWriter` in src/storage.js) and selectors can cache on object identity.
+ *
+ * The helpers take anything with `recipesById` and `recipeIds` (usually the whole state) and
+ * return those two fields, to be spread into the next state.
+ */
+import { applyAllergyProfile } from './diet';
+import { liveRecipes, trashedRecipes } from './trash';
+
+export const EMPTY_LIBRARY = { recipesById: {}, recipeIds: [] };
+
+export const normalizeRecipes = (recipes) => ({
+  recipesById: Object.fromEntries(recipes.map(r => [r.id, r])),
+  recipeIds: recipes.map(r => r.id),
+});
+
+export const getRecipe = (library, id) => library.recipesById[id] || null;
+
+// ---- Changes ---------------------------------------------------------------
+/** Saves recipes: known ids are replaced in place, new ones go to the top in the given order. */
+export function putRecipes(library, recipes) {
+  const recipesById = { ...library.recipesById };
+  const added = new Set();
+  recipes.forEach(r => {
+    if (!recipesById[r.id]) added.add(r.id);
+    recipesById[r.id] = r;
+  });
+  return { recipesById, recipeIds: added.size ? [...added, ...library.recipeIds] : library.recipeIds };
+}
+
+/** Replaces one recipe with `change(recipe)`; unknown ids leave the library as it is. */
+export function changeRecipe(library, id, change) {
+  const recipe = library.recipesById[id];
+  if (!recipe) return { recipesById: library.recipesById, recipeIds: library.recipeIds };
+  return { recipesById: { ...library.recipesById, [id]: change(recipe) }, recipeIds: library.recipeIds };
+}
+
+export function dropRecipes(library, ids) {
+  const gone = new Set(ids.filter(id => library.recipesById[id]));
+  if (!gone.size) return { recipesById: library.recipesById, recipeIds: library.recipeIds };
+  const recipesById = { ...library.recipesById };
+  gone.forEach(id => { delete recipesById[id]; });
+  return { recipesById, recipeIds: library.recipeIds.filter(id => !gone.has(id)) };
+}
+
+// ---- Selectors -------------------------------------------------------------
+// A memoized function remembers its last inputs and result, so a screen calling it on every render
+// only pays for the work when the recipes (or the other inputs) actually changed.
+function memoize(compute) {
+  let lastArgs = null;
+  let lastResult;
+  return (...args) => {
+    if (lastArgs && args.length === lastArgs.length && args.every((a, i) => a === lastArgs[i])) return lastResult;
+    lastArgs = args;
+    lastResult = compute(...args);
+    return lastResult;
+  };
+}
+
+/**
+ * A set of selectors with caches of their own. Each remembers one result, so two call sites
+ * reading different states through the same set would keep evicting each other: every screen
+ * keeps its own set (`useSelectors` in App.js) and one-off reads use the shared one below.
+ */
+export function createSelectors() {
+  const allRecipes = memoize((recipesById, recipeIds) => recipeIds.map(id => recipesById[id]));
+  const live = memoize(liveRecipes);
+  const trashed = memoize(trashedRecipes);
+  const mine = memoize((recipes) => recipes.filter(r => r.owner !== 'sample'));
+  const visible = memoize(applyAllergyProfile);
+  const byId = memoize((recipes) => Object.fromEntries(recipes.map(r => [r.id, r])));
+
+  /** Every recipe, trashed ones included, in library order. */
+  const selectRecipes = (state) => allRecipes(state.recipesById, state.recipeIds);
+  const selectLiveRecipes = (state) => live(selectRecipes(state));
+  return {
+    selectRecipes,
+    selectLiveRecipes,
+    selectTrashedRecipes: (state) => trashed(selectRecipes(state)),
+    /** Live recipes the user added (not samples). */
+    selectMyRecipes: (state) => mine(selectLiveRecipes(state)),
+    /** Live recipes after the household allergy profile (unsafe ones marked or hidden). */
+    selectVisibleRecipes: (state) => visible(selectLiveRecipes(state), state.allergyProfile),
+    /** id => recipe for live recipes only. */
+    selectLiveRecipesById: (state) => byId(selectLiveRecipes(state)),
+  };
+}
+
+export const {
+  selectRecipes, selectLiveRecipes, selectTrashedRecipes, selectMyRecipes, selectVisibleRecipes, selectLiveRecipesById,
+} = createSelectors();
@@ -0,0 +1,125 @@
+/**
+ * Weekly meal plan.
+ *
+ * The plan is a flat list of entries `{ id, date: 'YYYY-MM-DD', slot, recipeId, servings }`. Recipe
+ * `calories` are per serving, so an entry contributes `calories * servings`. Entries whose recipe was
+ * deleted are kept but flagged with `deletedTitle` so the user can see what disappeared from the week.
+ */
+import { addRecipeToList, formatAmounts } from './shopping';
+
+export const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+export const SLOT_LABELS = { breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner', snack: 'Snack' };
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ---- Dates (local time, ISO day strings) -----------------------------------
+const pad = (n) => String(n).padStart(2, '0');
+export const toISODate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(iso, n) {
+  const d = parseISODate(iso);
+  d.setDate(d.getDate() + n);
+  return toISODate(d);
+}
+
+/** Monday of the week containing `date`. */
+export function startOfWeek(date = new Date()) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toISODate(d);
+}
+
+export const weekDates = (weekStart) => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+export function formatDay(iso) {
+  const d = parseISODate(iso);
+  return `${DAY_NAMES[(d.getDay() + 6) % 7]} ${d.getDate()} ${MONTH_NAMES[d.getMonth()]}`;
+}
+
+// ---- Entries ---------------------------------------------------------------
+export function planMeal(plan, { id, date, slot, recipeId, servings }) {
+  return [...plan, { id, date, slot, recipeId, servings: Number(servings) || 1 }];
+}
+
+export function setPlannedServings(plan, id, servings) {
+  return plan.map(e => (e.id === id ? { ...e, servings: Math.max(1, Number(servings) || 1) } : e));
+}
+
+export const unplanMeal = (plan, id) => plan.filter(e => e.id !== id);
+
+/** Flags entries pointing at recipes that no longer exist. `title` is used when the recipe is known. */
+export function flagDeletedRecipe(plan, recipeId, title) {
+  return plan.map(e => (e.recipeId === recipeId && !e.deletedTitle ? { ...e, deletedTitle: title || 'Deleted recipe' } : e));
+}
+
+/** Flags every entry whose recipe is missing from `recipes`, e.g. after loading from storage. */
+export function flagMissingRecipes(plan, recipes) {
+  const ids = new Set(recipes.map(r => r.id));
+  return plan.map(e => (ids.has(e.recipeId) || e.deletedTitle ? e : { ...e, deletedTitle: 'Deleted recipe' }));
+}
+
+export const entriesForWeek = (plan, weekStart) => {
+  const days = new Set(weekDates(weekStart));
+  return plan.filter(e => days.has(e.date));
+};
+
+/** Copies the entries of the week starting `fromStart` into the week starting `toStart`, skipping deleted recipes. */
+export function copyWeek(plan, fromStart, toStart, makeId) {
+  const offset = Math.round((parseISODate(toStart) - parseISODate(fromStart)) / 86400000);
+  const copies = entriesForWeek(plan, fromStart)
+    .filter(e => !e.deletedTitle)
+    .map(e => ({ ...e, id: makeId(), date: addDays(e.date, offset) }));
+  return [...plan, ...copies];
+}
+
+// ---- Totals & export -------------------------------------------------------
+const liveEntries = (entries, recipesById) => entries.filter(e => !e.deletedTitle && recipesById[e.recipeId]);
+
+export function caloriesFor(entries, recipesById) {
+  return liveEntries(entries, recipesById)
+    .reduce((sum, e) => sum + (Number(recipesById[e.recipeId].calories) || 0) * e.servings, 0);
+}
+
+export const dayCalories = (plan, recipesById, date) => caloriesFor(plan.filter(e => e.date === date), recipesById);
+export const weekCalories = (plan, recipesById, weekStart) => caloriesFor(entriesForWeek(plan, weekStart), recipesById);
+
+/** Adds every live entry of the week to the shopping list at its planned servings. */
+export function addWeekToShopping(shopping, plan, recipesById, weekStart) {
+  return liveEntries(entriesForWeek(plan, weekStart), recipesById)
+    .reduce((items, e) => addRecipeToList(items, recipesById[e.recipeId], e.servings), shopping);
+}
+
+/** Plain-text summary of the week: meals per day with calories, then the merged ingredient list. */
+export function weekToText(plan, recipesById, weekStart) {
+  const lines = [`Meal plan – week of ${formatDay(weekStart)}`, ''];
+  weekDates(weekStart).forEach(date => {
+    const entries = plan.filter(e => e.date === date);
+    if (!entries.length) return;
+    lines.push(`${formatDay(date)} (${Math.round(dayCalories(plan, recipesById, date))} kcal)`);
+    MEAL_SLOTS.forEach(slot => {
+      entries.filter(e => e.slot === slot).forEach(e => {
+        const title = e.deletedTitle ? `${e.deletedTitle} (deleted)` : recipesById[e.recipeId]?.title;
+        lines.push(`  ${SLOT_LABELS[slot]}: ${title} ×${e.servings}`);
+      });
+    });
+  });
+  lines.push('', `Week total: ${Math.round(weekCalories(plan, recipesById, weekStart))} kcal`, '', 'Ingredients');
+  addWeekToShopping([], plan, recipesById, weekStart).forEach(item => {
+    lines.push(`- ${item.name}${item.amounts.length ? ` — ${formatAmounts(item)}` : ''}`);
+  });
+  return lines.join('\n');
+}
+
+/** Undoes `flagDeletedRecipe` when a recipe comes back from the trash. */
+export function unflagRestoredRecipe(plan, recipeId) {
+  return plan.map(e => {
+    if (e.recipeId !== recipeId || !e.deletedTitle) return e;
+    const { deletedTitle, ...rest } = e;
+    return rest;
+  });
+}
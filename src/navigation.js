@@ -0,0 +1,92 @@
+/**
+ * Helpers for the stack navigator in App.js: deep links and validating a persisted stack.
+ *
+ * A stack is an array of `{ key, name, params }` entries with Feed at the bottom. Supported links:
+ *   foodie://recipe/<id>        Feed > Details
+ *   foodie://category/<name>    Feed filtered to the category
+ *   foodie://my-food            Feed > MyFood
+ *   foodie://import?data=…      Feed > SharedRecipe (preview of a shared recipe, see src/share.js)
+ */
+import { MY_FOOD } from './categories';
+import { isTrashed } from './trash';
+
+export const LINK_SCHEME = 'foodie';
+
+export const SCREENS = [
+  'Feed', 'Details', 'CookMode', 'Favorites', 'ShoppingList', 'MealPlan',
+  'MyFood', 'Trash', 'ImportRecipes', 'AddEdit', 'Pantry', 'CookFromPantry',
+  'Allergies', 'Categories', 'Collections', 'Collection', 'History', 'Sync', 'SharedRecipe', 'Appearance',
+];
+
+// Screens that can't be shown without their recipe.
+const RECIPE_OF = {
+  Details: (p) => p?.recipeId,
+  CookMode: (p) => p?.recipeId,
+  History: (p) => p?.recipeId,
+  AddEdit: (p) => (p?.mode === 'edit' ? p.recipe?.id : null),
+};
+
+/** Path segments of a foodie:// link ('foodie://recipe/abc' -> ['recipe', 'abc']), or null. */
+function linkPath(url) {
+  const m = String(url ?? '').match(new RegExp(`^${LINK_SCHEME}:\\/*([^?#]*)`, 'i'));
+  if (!m) return null;
+  return m[1].split('/').filter(Boolean).map(s => decodeURIComponent(s));
+}
+
+/** Raw value of a query parameter; '+' is kept (share payloads use it), unlike URLSearchParams. */
+function linkParam(url, name) {
+  const m = String(url ?? '').match(new RegExp(`[?&]${name}=([^&#]*)`));
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]).replace(/ /g, '+');
+  } catch (e) {
+    return m[1];
+  }
+}
+
+/** Stack entries (without keys) for a deep link, or null when the link isn't ours. */
+export function parseDeepLink(url, categories = []) {
+  const path = linkPath(url);
+  if (!path) return null;
+  const [kind, arg] = path;
+  const feed = { name: 'Feed' };
+
+  switch ((kind || '').toLowerCase()) {
+    case 'recipe':
+      return arg ? [feed, { name: 'Details', params: { recipeId: arg } }] : [feed];
+    case 'category': {
+      const slug = (s) => s.toLowerCase().replace(/[\s_-]+/g, '');
+      const category = [MY_FOOD, ...categories].find(c => slug(c) === slug(arg || ''));
+      if (category === MY_FOOD) return [feed, { name: 'MyFood' }];
+      return [category ? { name: 'Feed', params: { category } } : feed];
+    }
+    case 'my-food':
+    case 'myfood':
+      return [feed, { name: 'MyFood' }];
+    case 'import':
+      return [feed, { name: 'SharedRecipe', params: { data: linkParam(url, 'data') || '' } }];
+    case '':
+      return [feed];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Drops entries that can't be shown any more (unknown screens, recipes that were deleted) and makes
+ * sure Feed is at the bottom. Returns `{ stack, dropped }` where `dropped` counts removed entries.
+ */
+export function resolveStack(stack, recipes) {
+  const byId = new Map(recipes.map(r => [r.id, r]));
+  const input = Array.isArray(stack) ? stack : [];
+  const kept = input.filter(entry => {
+    if (!entry || !SCREENS.includes(entry.name)) return false;
+    const recipeOf = RECIPE_OF[entry.name];
+    if (!recipeOf) return true;
+    const recipe = byId.get(recipeOf(entry.params));
+    return !!recipe && !isTrashed(recipe);
+  });
+  const dropped = input.length - kept.length;
+  if (!kept.length || kept[0].name !== 'Feed') kept.unshift({ name: 'Feed' });
+  return { stack: kept, dropped };
+}
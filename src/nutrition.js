@@ -0,0 +1,195 @@
+/**
+ * Offline nutrition estimates.
+ *
+ * NUTRITION_TABLE holds approximate values per 100 g for common ingredients (rounded from USDA
+ * FoodData Central), keyed by ingredientKey. Amounts are converted to grams using the unit tables,
+ * a per-food `density` (g/ml) for volumes and `each`/`slice`/`stick` weights for counted items.
+ * Estimates are a guide only; the recipe's own `calories` stays the user's to override.
+ */
+import { UNITS, ingredientKey } from './ingredients';
+
+export const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal', decimals: 0 },
+  { key: 'protein', label: 'Protein', unit: 'g', decimals: 1 },
+  { key: 'carbs', label: 'Carbs', unit: 'g', decimals: 1 },
+  { key: 'fat', label: 'Fat', unit: 'g', decimals: 1 },
+  { key: 'fiber', label: 'Fiber', unit: 'g', decimals: 1 },
+  { key: 'sodium', label: 'Sodium', unit: 'mg', decimals: 0 },
+];
+
+// ---- Table -----------------------------------------------------------------
+// [kcal, protein g, carbs g, fat g, fiber g, sodium mg] per 100 g, plus optional weights:
+// density (g per ml), each (g per piece), slice / stick (g), trace (negligible when no amount is given).
+const food = ([calories, protein, carbs, fat, fiber, sodium], extra = {}) => ({ calories, protein, carbs, fat, fiber, sodium, ...extra });
+
+export const NUTRITION_TABLE = {
+  // Produce
+  avocado: food([160, 2, 8.5, 14.7, 6.7, 7], { each: 150 }),
+  lettuce: food([17, 1.2, 3.3, 0.3, 2.1, 8], { each: 300, density: 0.2 }),
+  spinach: food([23, 2.9, 3.6, 0.4, 2.2, 79], { density: 0.13 }),
+  kale: food([49, 4.3, 8.8, 0.9, 3.6, 38], { density: 0.28 }),
+  onion: food([40, 1.1, 9.3, 0.1, 1.7, 4], { each: 110, density: 0.68 }),
+  garlic: food([149, 6.4, 33, 0.5, 2.1, 17], { each: 3 }),
+  tomato: food([18, 0.9, 3.9, 0.2, 1.2, 5], { each: 120, density: 0.76 }),
+  'cherry tomato': food([18, 0.9, 3.9, 0.2, 1.2, 5], { each: 17 }),
+  potato: food([77, 2, 17, 0.1, 2.2, 6], { each: 170 }),
+  carrot: food([41, 0.9, 9.6, 0.2, 2.8, 69], { each: 60, density: 0.54 }),
+  'bell pepper': food([26, 1, 6, 0.3, 2.1, 4], { each: 120 }),
+  cucumber: food([15, 0.7, 3.6, 0.1, 0.5, 2], { each: 300 }),
+  zucchini: food([17, 1.2, 3.1, 0.3, 1, 8], { each: 200 }),
+  mushroom: food([22, 3.1, 3.3, 0.3, 1, 5], { each: 18, density: 0.3 }),
+  broccoli: food([34, 2.8, 6.6, 0.4, 2.6, 33], { each: 300, density: 0.38 }),
+  lemon: food([29, 1.1, 9.3, 0.3, 2.8, 2], { each: 60 }),
+  'lemon juice': food([22, 0.4, 6.9, 0.2, 0.3, 1], { density: 1.03 }),
+  lime: food([30, 0.7, 10.5, 0.2, 2.8, 2], { each: 45 }),
+  apple: food([52, 0.3, 13.8, 0.2, 2.4, 1], { each: 180 }),
+  banana: food([89, 1.1, 22.8, 0.3, 2.6, 1], { each: 118 }),
+  berry: food([57, 0.7, 14.5, 0.3, 2.4, 1], { density: 0.6 }),
+  ginger: food([80, 1.8, 17.8, 0.8, 2, 13], { density: 0.5 }),
+  herb: food([36, 3, 6.3, 0.8, 3.3, 56], { density: 0.1, trace: true }),
+  basil: food([23, 3.2, 2.7, 0.6, 1.6, 4], { density: 0.1, trace: true }),
+  parsley: food([36, 3, 6.3, 0.8, 3.3, 56], { density: 0.1, trace: true }),
+  cilantro: food([23, 2.1, 3.7, 0.5, 2.8, 46], { density: 0.1, trace: true }),
+  // Meat, fish, eggs
+  'ground beef': food([254, 17.2, 0, 20, 0, 66]),
+  beef: food([250, 26, 0, 15, 0, 72]),
+  chicken: food([165, 31, 0, 3.6, 0, 74], { each: 170 }),
+  'chicken breast': food([165, 31, 0, 3.6, 0, 74], { each: 170 }),
+  pork: food([242, 27, 0, 14, 0, 62]),
+  bacon: food([541, 37, 1.4, 42, 0, 1717], { slice: 8 }),
+  salmon: food([208, 20, 0, 13, 0, 59], { each: 150 }),
+  tuna: food([132, 28, 0, 1.3, 0, 47], { each: 140 }),
+  shrimp: food([99, 24, 0.2, 0.3, 0, 111], { each: 12 }),
+  egg: food([143, 12.6, 0.7, 9.5, 0, 142], { each: 50 }),
+  // Dairy
+  milk: food([61, 3.2, 4.8, 3.3, 0, 43], { density: 1.03 }),
+  butter: food([717, 0.9, 0.1, 81, 0, 11], { density: 0.96, stick: 113 }),
+  cream: food([340, 2.8, 2.7, 36, 0, 27], { density: 1 }),
+  yogurt: food([61, 3.5, 4.7, 3.3, 0, 46], { density: 1.03 }),
+  cheese: food([402, 25, 1.3, 33, 0, 621], { density: 0.42, slice: 20 }),
+  parmesan: food([431, 38, 4.1, 29, 0, 1529], { density: 0.42 }),
+  mozzarella: food([280, 28, 3.1, 17, 0, 627], { density: 0.42, each: 125 }),
+  feta: food([264, 14, 4.1, 21, 0, 1116], { density: 0.5 }),
+  // Bakery, grains, pasta
+  bread: food([265, 9, 49, 3.2, 2.7, 491], { slice: 35 }),
+  sourdough: food([272, 10.8, 51.9, 2.4, 2.2, 602], { slice: 50 }),
+  tortilla: food([312, 8.2, 51.6, 8, 3.5, 620], { each: 45 }),
+  crouton: food([407, 11.9, 73.5, 6.6, 5.1, 698], { density: 0.13 }),
+  spaghetti: food([371, 13, 75, 1.5, 3.2, 6]),
+  pasta: food([371, 13, 75, 1.5, 3.2, 6], { density: 0.4 }),
+  noodle: food([384, 14, 71, 4.4, 3.3, 21]),
+  rice: food([365, 7.1, 80, 0.7, 1.3, 5], { density: 0.85 }),
+  oat: food([389, 16.9, 66.3, 6.9, 10.6, 2], { density: 0.4 }),
+  quinoa: food([368, 14.1, 64.2, 6.1, 7, 5], { density: 0.72 }),
+  flour: food([364, 10.3, 76.3, 1, 2.7, 2], { density: 0.53 }),
+  couscous: food([376, 12.8, 77.4, 0.6, 5, 10], { density: 0.73 }),
+  // Pantry, condiments
+  'olive oil': food([884, 0, 0, 100, 0, 2], { density: 0.92 }),
+  oil: food([884, 0, 0, 100, 0, 0], { density: 0.92 }),
+  sugar: food([387, 0, 100, 0, 0, 1], { density: 0.85 }),
+  honey: food([304, 0.3, 82.4, 0, 0.2, 4], { density: 1.42 }),
+  salt: food([0, 0, 0, 0, 0, 38758], { density: 1.2, trace: true }),
+  pepper: food([251, 10.4, 64, 3.3, 25.3, 20], { density: 0.46, trace: true }),
+  'chili flake': food([318, 12, 56.6, 17.3, 27.2, 30], { density: 0.4, trace: true }),
+  'tomato sauce': food([24, 1.2, 5.3, 0.3, 1.5, 474], { density: 1.03 }),
+  'caesar dressing': food([542, 2.2, 3.3, 57.9, 0.5, 1209], { density: 0.98 }),
+  mayonnaise: food([680, 1, 0.6, 75, 0, 635], { density: 0.91 }),
+  mustard: food([60, 3.7, 5.8, 3.3, 4, 1120], { density: 1.05 }),
+  'soy sauce': food([53, 8.1, 4.9, 0.6, 0.8, 5493], { density: 1.15 }),
+  vinegar: food([18, 0, 0.04, 0, 0, 2], { density: 1.01 }),
+  stock: food([7, 1, 0.4, 0.2, 0, 343], { density: 1 }),
+  broth: food([7, 1, 0.4, 0.2, 0, 343], { density: 1 }),
+  'coconut milk': food([230, 2.3, 5.5, 23.8, 2.2, 15], { density: 0.97 }),
+  chickpea: food([164, 8.9, 27.4, 2.6, 7.6, 7], { density: 0.6 }),
+  bean: food([127, 8.7, 22.8, 0.5, 6.4, 2], { density: 0.7 }),
+  lentil: food([116, 9, 20, 0.4, 7.9, 2], { density: 0.8 }),
+  'peanut butter': food([588, 25, 20, 50, 6, 459], { density: 1.09 }),
+  almond: food([579, 21, 21.6, 49.9, 12.5, 1], { density: 0.6 }),
+};
+
+// Names that should use another row.
+const ALIASES = {
+  'salt & pepper': 'salt',
+  'salt and pepper': 'salt',
+  'salt pepper herb': 'salt',
+  'romaine lettuce': 'lettuce',
+  romaine: 'lettuce',
+  'black pepper': 'pepper',
+  'red pepper': 'bell pepper',
+  'green pepper': 'bell pepper',
+  'red pepper flake': 'chili flake',
+  yoghurt: 'yogurt',
+  mayo: 'mayonnaise',
+};
+
+// Grams for count units when the food row has no weight of its own.
+const COUNT_GRAMS = { pinch: 0.4, dash: 0.6, handful: 30, can: 400, bunch: 100, sprig: 1 };
+
+/** The table row for an ingredient name, trying the full key then shorter endings ('hass avocado' -> 'avocado'). */
+export function lookupFood(item) {
+  const words = ingredientKey(item).split(' ').filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const key = words.slice(i).join(' ');
+    const row = NUTRITION_TABLE[ALIASES[key] || key];
+    if (row) return row;
+  }
+  return null;
+}
+
+/** Grams of `ing` for the food row, or null when the amount can't be converted. */
+function gramsOf(ing, row) {
+  const quantity = ing.quantityMax != null ? (ing.quantity + ing.quantityMax) / 2 : ing.quantity;
+  const unit = UNITS[ing.unit];
+  if (!unit) return row.each != null ? quantity * row.each : null;
+  if (unit.dim === 'mass') return quantity * unit.toBase;
+  if (unit.dim === 'volume') return quantity * unit.toBase * (row.density ?? 1);
+  const perUnit = row[ing.unit] ?? (ing.unit === 'piece' || ing.unit === 'clove' ? row.each : null) ?? COUNT_GRAMS[ing.unit];
+  return perUnit != null ? quantity * perUnit : null;
+}
+
+const emptyTotals = () => Object.fromEntries(NUTRIENTS.map(n => [n.key, 0]));
+
+export const UNMATCHED_REASONS = {
+  unknown: 'not in the nutrition table',
+  amount: 'no amount given',
+  unit: 'amount could not be converted',
+};
+
+/**
+ * Estimated nutrition of `recipe`: `{ total, perServing, matched, unmatched }`. `unmatched` lists
+ * `{ ingredient, reason }` (a key of UNMATCHED_REASONS). Optional ingredients are left out, and
+ * seasonings like salt count as matched but add nothing when no amount is given.
+ */
+export function estimateNutrition(recipe) {
+  const total = emptyTotals();
+  const matched = [];
+  const unmatched = [];
+  (recipe.ingredients || []).forEach(ing => {
+    if (ing.optional) return;
+    const row = lookupFood(ing.item);
+    if (!row) {
+      unmatched.push({ ingredient: ing, reason: 'unknown' });
+      return;
+    }
+    if (ing.quantity == null) {
+      if (row.trace) matched.push(ing);
+      else unmatched.push({ ingredient: ing, reason: 'amount' });
+      return;
+    }
+    const grams = gramsOf(ing, row);
+    if (grams == null) {
+      unmatched.push({ ingredient: ing, reason: 'unit' });
+      return;
+    }
+    NUTRIENTS.forEach(({ key }) => { total[key] += (row[key] * grams) / 100; });
+    matched.push(ing);
+  });
+
+  const servings = Math.max(1, Number(recipe.servings) || 1);
+  const round = (values) => Object.fromEntries(NUTRIENTS.map(({ key, decimals }) => {
+    const f = 10 ** decimals;
+    return [key, Math.round(values[key] * f) / f];
+  }));
+  const perServing = Object.fromEntries(NUTRIENTS.map(({ key }) => [key, total[key] / servings]));
+  return { total: round(total), perServing: round(perServing), matched, unmatched };
+}
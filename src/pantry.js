@@ -0,0 +1,121 @@
+/**
+ * Pantry inventory and "cook with what I have".
+ *
+ * Pantry items are `{ id, name, key, quantity, unit, expires }` where `key` is the ingredientKey of
+ * the name and `expires` an optional 'YYYY-MM-DD'. Recipes are ranked by the share of their
+ * (non-optional) ingredients the pantry covers; using items that expire soon ranks a recipe higher.
+ */
+import { addAmount, formatAmount, ingredientKey, parseIngredient } from './ingredients';
+import { parseISODate } from './mealPlan';
+
+export const EXPIRING_SOON_DAYS = 3;
+const DAY_MS = 86400000;
+const EXPIRY_BOOST = 0.15; // per expiring pantry item a recipe uses, on a 0..1 coverage scale
+
+// ---- Items -----------------------------------------------------------------
+/**
+ * Adds a free-text item ('2 avocados', 'rice'). An item with the same key is merged: amounts in
+ * compatible units are summed and the earlier expiry date is kept.
+ */
+export function addPantryItem(pantry, text, { expires = '' } = {}, makeId) {
+  if (!String(text).trim()) return pantry;
+  const ing = parseIngredient(text);
+  const key = ingredientKey(ing.item) || ing.text.toLowerCase();
+  const existing = pantry.find(p => p.key === key);
+  if (!existing) {
+    return [...pantry, { id: makeId(), name: ing.item, key, quantity: ing.quantity, unit: ing.unit, expires }];
+  }
+  return pantry.map(p => {
+    if (p !== existing) return p;
+    let { quantity, unit } = p;
+    if (quantity != null && ing.quantity != null) {
+      const merged = addAmount([{ quantity, unit }], { quantity: ing.quantity, unit: ing.unit });
+      if (merged.length === 1) ({ quantity, unit } = merged[0]);
+    } else if (quantity == null) {
+      ({ quantity, unit } = ing);
+    }
+    const soonest = [p.expires, expires].filter(Boolean).sort()[0] || '';
+    return { ...p, quantity, unit, expires: soonest };
+  });
+}
+
+export const removePantryItem = (pantry, id) => pantry.filter(p => p.id !== id);
+
+export const setPantryExpiry = (pantry, id, expires) => pantry.map(p => (p.id === id ? { ...p, expires } : p));
+
+export function formatPantryAmount(item) {
+  return item.quantity != null ? formatAmount(item) : '';
+}
+
+/** Whole days until `item` expires (negative once expired), or null without a date. */
+export function daysUntilExpiry(item, today) {
+  if (!item.expires) return null;
+  return Math.round((parseISODate(item.expires) - parseISODate(today)) / DAY_MS);
+}
+
+export function isExpiringSoon(item, today) {
+  const days = daysUntilExpiry(item, today);
+  return days != null && days <= EXPIRING_SOON_DAYS;
+}
+
+/** Items with an expiry date first (soonest first), then the rest by name. */
+export function sortPantry(pantry) {
+  return [...pantry].sort((a, b) => {
+    if (a.expires && b.expires) return a.expires.localeCompare(b.expires);
+    if (a.expires || b.expires) return a.expires ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+// ---- Matching --------------------------------------------------------------
+/**
+ * True when pantry key `have` can stand in for ingredient key `need`: same head noun (last word) and
+ * one name's words contained in the other's, so 'avocado' covers 'hass avocado' and 'cherry tomato'
+ * covers 'tomato', but 'tomato' does not cover 'tomato sauce'.
+ */
+export function keyCovers(have, need) {
+  if (!have || !need) return false;
+  if (have === need) return true;
+  const a = have.split(' ');
+  const b = need.split(' ');
+  if (a[a.length - 1] !== b[b.length - 1]) return false;
+  const [shorter, longer] = a.length <= b.length ? [a, new Set(b)] : [b, new Set(a)];
+  return shorter.every(w => longer.has(w));
+}
+
+const findInPantry = (pantry, ing) => {
+  const key = ingredientKey(ing.item);
+  return pantry.find(p => keyCovers(p.key, key));
+};
+
+/**
+ * One recipe against the pantry: `{ recipe, have, missing, expiring, coverage, score }`.
+ * `have`/`missing` are ingredients, `expiring` the pantry items close to expiry the recipe uses.
+ * Optional ingredients never count as missing.
+ */
+export function matchRecipe(recipe, pantry, today) {
+  const have = [];
+  const missing = [];
+  const expiring = [];
+  recipe.ingredients.forEach(ing => {
+    const item = findInPantry(pantry, ing);
+    if (item) {
+      have.push(ing);
+      if (isExpiringSoon(item, today) && !expiring.includes(item)) expiring.push(item);
+    } else if (!ing.optional) {
+      missing.push(ing);
+    }
+  });
+  const needed = have.length + missing.length;
+  const coverage = needed ? have.length / needed : 0;
+  return { recipe, have, missing, expiring, coverage, score: coverage + expiring.length * EXPIRY_BOOST };
+}
+
+/** Recipes using at least one pantry item, best match first. */
+export function rankByPantry(recipes, pantry, today) {
+  if (!pantry.length) return [];
+  return recipes
+    .map(r => matchRecipe(r, pantry, today))
+    .filter(m => m.have.length)
+    .sort((a, b) => b.score - a.score || a.missing.length - b.missing.length || a.recipe.title.localeCompare(b.recipe.title));
+}
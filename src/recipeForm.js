@@ -0,0 +1,143 @@
+/**
+ * The Add/Edit recipe form: its fields, validation and conversion to and from recipes.
+ *
+ * A form keeps raw input, so numbers are strings and half-typed values survive re-renders and the
+ * saved draft. `validateForm` checks it against `FORM_SCHEMA` and returns one message per invalid
+ * field; `recipeFromForm` builds the recipe fields once it is valid.
+ *
+ * Recipes store `prepMinutes` and `cookMinutes` next to `prepTime`, which stays the total time as
+ * text ('35 min') because lists, filters and exports read it. Older recipes only have `prepTime`;
+ * their form starts with all of it as prep time.
+ */
+import { formatDuration, parseDuration } from './duration';
+import { parseIngredients } from './ingredients';
+import { DIFFICULTIES } from './search';
+import { getSteps } from './steps';
+
+export const FORM_SCHEMA = {
+  title: { label: 'Recipe name', required: true, maxLength: 120 },
+  ingredients: { label: 'Ingredients', list: true, minItems: 1, item: 'ingredient' },
+  steps: { label: 'Steps', list: true, minItems: 1, item: 'step' },
+  prepMinutes: { label: 'Prep time', integer: true, min: 0, max: 1440 },
+  cookMinutes: { label: 'Cook time', integer: true, min: 0, max: 1440 },
+  servings: { label: 'Servings', required: true, integer: true, min: 1, max: 100 },
+  calories: { label: 'Calories', integer: true, min: 0, max: 10000 },
+  difficulty: { label: 'Difficulty', required: true, oneOf: DIFFICULTIES },
+};
+
+const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?q=80&w=1200&auto=format&fit=crop';
+
+// ---- Ingredient rows -------------------------------------------------------
+// Rows carry a key so a text field keeps its focus while rows move around.
+let rowCount = 0;
+export const ingredientRow = (text = '') => {
+  rowCount += 1;
+  return { key: `${Date.now().toString(36)}-${rowCount}`, text };
+};
+
+/** Moves the item at `index` by `delta` places; the list is returned unchanged at either end. */
+export function moveItem(list, index, delta) {
+  const to = index + delta;
+  if (index < 0 || index >= list.length || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  next.splice(to, 0, next.splice(index, 1)[0]);
+  return next;
+}
+
+// ---- Recipes <-> forms -----------------------------------------------------
+export const emptyForm = (tags = []) => ({
+  title: '',
+  tags,
+  image: '',
+  ingredients: [ingredientRow()],
+  steps: [''],
+  prepMinutes: '20',
+  cookMinutes: '',
+  servings: '1',
+  calories: '',
+  difficulty: 'Easy',
+});
+
+const numberText = (n) => (Number.isFinite(n) && n > 0 ? String(Math.round(n)) : '');
+
+export function formFromRecipe(recipe) {
+  const hasSplit = recipe.prepMinutes != null || recipe.cookMinutes != null;
+  const steps = getSteps(recipe);
+  return {
+    title: recipe.title,
+    tags: recipe.tags,
+    image: recipe.image || '',
+    ingredients: recipe.ingredients.length ? recipe.ingredients.map(i => ingredientRow(i.text)) : [ingredientRow()],
+    steps: steps.length ? steps : [''],
+    prepMinutes: numberText(hasSplit ? recipe.prepMinutes : parseDuration(recipe.prepTime)),
+    cookMinutes: numberText(recipe.cookMinutes),
+    servings: String(recipe.servings || 1),
+    calories: numberText(recipe.calories),
+    difficulty: DIFFICULTIES.includes(recipe.difficulty) ? recipe.difficulty : 'Easy',
+  };
+}
+
+const filled = (list) => list.map(x => (typeof x === 'string' ? x : x.text).trim()).filter(Boolean);
+const wholeNumber = (text) => (String(text).trim() ? Number(text) : 0);
+
+/** Recipe fields from a valid form; the caller adds id, owner and the other bookkeeping fields. */
+export function recipeFromForm(form) {
+  const steps = filled(form.steps);
+  const prepMinutes = wholeNumber(form.prepMinutes);
+  const cookMinutes = wholeNumber(form.cookMinutes);
+  return {
+    title: form.title.trim(),
+    tags: form.tags,
+    image: form.image.trim() || DEFAULT_IMAGE,
+    ingredients: parseIngredients(filled(form.ingredients)),
+    steps,
+    instructions: steps.join('\n'),
+    prepMinutes,
+    cookMinutes,
+    prepTime: prepMinutes + cookMinutes ? formatDuration(prepMinutes + cookMinutes) : '',
+    servings: Number(form.servings),
+    calories: wholeNumber(form.calories),
+    difficulty: form.difficulty,
+  };
+}
+
+/** Whether the form differs from the one it started as; ingredient row keys don't count. */
+export function isFormChanged(form, initial) {
+  const plain = (f) => JSON.stringify({ ...f, ingredients: filled(f.ingredients), steps: filled(f.steps) });
+  return plain(form) !== plain(initial);
+}
+
+// ---- Validation ------------------------------------------------------------
+function checkField(rule, value) {
+  if (rule.list) {
+    return filled(value).length < rule.minItems ? `Add at least ${rule.minItems === 1 ? 'one' : rule.minItems} ${rule.item}${rule.minItems === 1 ? '' : 's'}.` : null;
+  }
+  const text = String(value ?? '').trim();
+  if (!text) return rule.required ? `${rule.label} is required.` : null;
+  if (rule.maxLength && text.length > rule.maxLength) return `Keep it under ${rule.maxLength} characters.`;
+  if (rule.oneOf && !rule.oneOf.includes(text)) return `Pick one of ${rule.oneOf.join(', ')}.`;
+  if (rule.integer) {
+    if (!/^\d+$/.test(text)) return 'Enter a whole number.';
+    const n = Number(text);
+    if (n < rule.min || n > rule.max) return `Enter a number from ${rule.min} to ${rule.max}.`;
+  }
+  return null;
+}
+
+/** `{ field: message }` for every invalid field; empty when the form can be saved. */
+export function validateForm(form) {
+  const errors = {};
+  Object.entries(FORM_SCHEMA).forEach(([field, rule]) => {
+    const message = checkField(rule, form[field]);
+    if (message) errors[field] = message;
+  });
+  return errors;
+}
+
+// ---- Display ---------------------------------------------------------------
+/** '35 min (15 min prep, 20 min cook)' when the split is known, otherwise `prepTime`. */
+export function timeLabel(recipe) {
+  if (!recipe.cookMinutes) return recipe.prepTime;
+  const parts = [recipe.prepMinutes ? `${formatDuration(recipe.prepMinutes)} prep` : '', `${formatDuration(recipe.cookMinutes)} cook`];
+  return `${recipe.prepTime} (${parts.filter(Boolean).join(', ')})`;
+}
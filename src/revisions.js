@@ -0,0 +1,98 @@
+/**
+ * Forking recipes ("Make my version") and per-recipe revision history.
+ *
+ * `state.revisions` maps a recipe id to its earlier versions, oldest first: `{ id, at, recipe }`
+ * where `recipe` is the full snapshot as it was before an `update`. The current version is the
+ * recipe itself, so a recipe that was never edited has no entry.
+ */
+import { getSteps } from './steps';
+
+export const REVISION_LIMIT = 30; // per recipe; the oldest are dropped first
+
+// ---- Forking ---------------------------------------------------------------
+/** An editable copy owned by the user that remembers where it came from. */
+export function forkRecipe(recipe, { id, now }) {
+  const { deletedAt, ...rest } = recipe;
+  return {
+    ...rest,
+    id,
+    title: `${recipe.title} (my version)`,
+    owner: 'me',
+    createdAt: now,
+    forkedFrom: { id: recipe.id, title: recipe.title },
+  };
+}
+
+// ---- Diffing ---------------------------------------------------------------
+// Compared as stored; `format` turns a value into the text shown in the diff.
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'tags', label: 'Categories', format: (tags) => (tags || []).join(', ') || 'none' },
+  { key: 'image', label: 'Photo', format: (uri) => (uri ? 'photo' : 'none') },
+  { key: 'prepTime', label: 'Total time' },
+  { key: 'prepMinutes', label: 'Prep minutes' },
+  { key: 'cookMinutes', label: 'Cook minutes' },
+  { key: 'servings', label: 'Servings' },
+  { key: 'calories', label: 'Calories' },
+  { key: 'difficulty', label: 'Difficulty' },
+];
+
+const same = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+const listChanges = (before, after) => ({
+  added: after.filter(x => !before.includes(x)),
+  removed: before.filter(x => !after.includes(x)),
+});
+
+/**
+ * Field-level changes from `before` to `after`: `{ fields: [{ key, label, before, after }],
+ * ingredients: { added, removed }, steps: { added, removed } }` with ingredient lines and steps as text.
+ */
+export function diffRecipes(before, after) {
+  const fields = FIELDS
+    .filter(f => !same(before[f.key], after[f.key]))
+    .map(({ key, label, format = (v) => String(v ?? '') }) => ({ key, label, before: format(before[key]), after: format(after[key]) }));
+  return {
+    fields,
+    ingredients: listChanges(before.ingredients.map(i => i.text), after.ingredients.map(i => i.text)),
+    steps: listChanges(getSteps(before), getSteps(after)),
+  };
+}
+
+export const isEmptyDiff = (diff) => !diff.fields.length
+  && !diff.ingredients.added.length && !diff.ingredients.removed.length
+  && !diff.steps.added.length && !diff.steps.removed.length;
+
+// ---- History ---------------------------------------------------------------
+export const revisionsOf = (revisions, recipeId) => revisions[recipeId] || [];
+
+/** Records `previous` as a revision of its recipe, unless `next` doesn't change anything. */
+export function recordRevision(revisions, previous, next, { id, at }) {
+  if (!previous || isEmptyDiff(diffRecipes(previous, next))) return revisions;
+  const list = [...revisionsOf(revisions, previous.id), { id, at, recipe: previous }].slice(-REVISION_LIMIT);
+  return { ...revisions, [previous.id]: list };
+}
+
+/** Forgets the latest revision of `snapshot`'s recipe when it is that snapshot, i.e. undoes `recordRevision`. */
+export function dropLatestRevision(revisions, snapshot) {
+  const list = revisionsOf(revisions, snapshot.id);
+  if (!list.length || list[list.length - 1].recipe !== snapshot) return revisions;
+  const next = { ...revisions, [snapshot.id]: list.slice(0, -1) };
+  if (!next[snapshot.id].length) delete next[snapshot.id];
+  return next;
+}
+
+/** The recipe as it was in revision `revisionId`, keeping its current id, owner and trash state. */
+export function revertTo(revisions, recipe, revisionId) {
+  const revision = revisionsOf(revisions, recipe.id).find(r => r.id === revisionId);
+  if (!revision) return null;
+  const { deletedAt, ...snapshot } = revision.recipe;
+  return { ...snapshot, id: recipe.id, owner: recipe.owner, ...(recipe.deletedAt ? { deletedAt: recipe.deletedAt } : {}) };
+}
+
+/** Drops the history of recipes that were purged for good. */
+export function dropRevisions(revisions, recipeIds) {
+  const next = { ...revisions };
+  recipeIds.forEach(id => { delete next[id]; });
+  return next;
+}
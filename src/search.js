@@ -0,0 +1,142 @@
+/**
+ * Full-text search, facet filters and sorting for the recipe feed.
+ *
+ * Matching is case and diacritic insensitive; every query word must appear somewhere in the recipe.
+ * Results are ranked with title hits ahead of ingredient hits, ahead of instruction hits.
+ */
+import { parseDuration } from './duration';
+import { ingredientKey } from './ingredients';
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+export const SORTS = [
+  { key: 'relevance', label: 'Best match' },
+  { key: 'newest', label: 'Newest' },
+  { key: 'quickest', label: 'Quickest' },
+  { key: 'calories', label: 'Lowest calories' },
+  { key: 'mostCooked', label: 'Most cooked' },
+  { key: 'notRecently', label: 'Not cooked in a while' },
+];
+
+export const EMPTY_FILTERS = {
+  query: '',
+  difficulty: null,
+  minCalories: null,
+  maxCalories: null, // exclusive
+  maxPrep: null, // minutes
+  include: [], // ingredient terms that must all be present
+  exclude: [], // ingredient terms that must all be absent
+  sort: 'relevance',
+};
+
+export const normalizeText = (s) => String(s ?? '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const tokenize = (s) => normalizeText(s).split(/[^a-z0-9]+/).filter(Boolean);
+
+// `min` is inclusive and `max` exclusive, so every calorie value falls in exactly one range.
+export const CALORIE_RANGES = [
+  { label: '< 300 kcal', min: null, max: 300 },
+  { label: '300–600 kcal', min: 300, max: 600 },
+  { label: '> 600 kcal', min: 600, max: null },
+];
+export const PREP_LIMITS = [15, 30, 60];
+
+/** Splits a comma separated input ('egg, nuts') into ingredient terms. */
+export const parseTerms = (s) => String(s ?? '').split(',').map(t => ingredientKey(t)).filter(Boolean);
+
+// `prepTime` is the total time once a recipe has the prep/cook split (see src/recipeForm.js).
+export const prepMinutes = (recipe) => recipe.prepMinutes ?? parseDuration(recipe.prepTime) ?? Infinity;
+
+// Recipes are replaced, never changed in place (see src/library.js), so an index stays valid for
+// as long as its recipe object lives.
+const indexes = new WeakMap();
+
+function indexRecipe(recipe) {
+  let index = indexes.get(recipe);
+  if (!index) {
+    index = {
+      title: normalizeText(recipe.title),
+      ingredients: normalizeText(recipe.ingredients.map(i => i.text).join('\n')),
+      instructions: normalizeText(recipe.instructions),
+      keys: recipe.ingredients.map(i => ingredientKey(i.item)),
+    };
+    indexes.set(recipe, index);
+  }
+  return index;
+}
+
+// 0 means no match; otherwise higher is better.
+function score(index, words) {
+  let total = 0;
+  for (const word of words) {
+    let best = 0;
+    if (index.title.includes(word)) best = index.title.startsWith(word) ? 120 : 100;
+    else if (index.ingredients.includes(word)) best = 10;
+    else if (index.instructions.includes(word)) best = 1;
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+const hasIngredient = (index, term) => index.keys.some(k => k.includes(term));
+
+const timesCooked = (stats, r) => stats[r.recipe.id]?.count || 0;
+const lastCooked = (stats, r) => stats[r.recipe.id]?.lastCooked || '';
+
+// `stats` is cookStats() output (see src/cookLog.js); only the cooking sorts use it.
+const COMPARATORS = {
+  mostCooked: (a, b, stats) => timesCooked(stats, b) - timesCooked(stats, a) || a.order - b.order,
+  // Cooked before, longest ago first; recipes never cooked come last.
+  notRecently: (a, b, stats) => {
+    const la = lastCooked(stats, a);
+    const lb = lastCooked(stats, b);
+    if (!la !== !lb) return la ? -1 : 1;
+    return la.localeCompare(lb) || a.order - b.order;
+  },
+  newest: (a, b) => (b.recipe.createdAt || 0) - (a.recipe.createdAt || 0) || a.order - b.order,
+  quickest: (a, b) => prepMinutes(a.recipe) - prepMinutes(b.recipe) || a.order - b.order,
+  calories: (a, b) => (Number(a.recipe.calories) || 0) - (Number(b.recipe.calories) || 0) || a.order - b.order,
+  relevance: (a, b) => b.score - a.score || a.order - b.order,
+};
+
+/** Applies `filters` (see EMPTY_FILTERS) to `recipes` and returns them sorted; `cookStats` feeds the cooking sorts. */
+export function searchRecipes(recipes, filters, cookStats = {}) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const words = tokenize(f.query);
+  const results = [];
+
+  recipes.forEach((recipe, order) => {
+    if (f.difficulty && recipe.difficulty !== f.difficulty) return;
+    const calories = Number(recipe.calories) || 0;
+    if (f.minCalories != null && calories < f.minCalories) return;
+    if (f.maxCalories != null && calories >= f.maxCalories) return;
+    if (f.maxPrep != null && prepMinutes(recipe) > f.maxPrep) return;
+
+    const index = indexRecipe(recipe);
+    if (!f.include.every(term => hasIngredient(index, term))) return;
+    if (f.exclude.some(term => hasIngredient(index, term))) return;
+
+    const s = words.length ? score(index, words) : 0;
+    if (words.length && !s) return;
+    results.push({ recipe, score: s, order });
+  });
+
+  const sort = f.sort === 'relevance' && !words.length ? 'newest' : f.sort;
+  const compare = COMPARATORS[sort] || COMPARATORS.relevance;
+  return results.sort((a, b) => compare(a, b, cookStats)).map(r => r.recipe);
+}
+
+/** Number of facet filters in use, for the "Filters (n)" toggle. */
+export function activeFilterCount(filters) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  return [
+    f.difficulty,
+    f.minCalories != null || f.maxCalories != null,
+    f.maxPrep != null,
+    f.include.length,
+    f.exclude.length,
+  ].filter(Boolean).length;
+}
@@ -0,0 +1,126 @@
+/**
+ * Sharing one recipe as a `foodie://import?data=…` link, a QR code of that link, or plain text.
+ *
+ * The payload is `<version>.<checksum>.<data>`: `data` is the recipe in a compact JSON form,
+ * lz-string compressed to URL-safe characters, and `checksum` a 32-bit FNV-1a hash of that JSON.
+ * The checksum catches links that were cut off or edited by hand; it is not a signature, so a
+ * shared recipe is always shown as a preview before it is imported.
+ */
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string';
+import { parseIngredients } from './ingredients';
+import { getSteps } from './steps';
+import { LINK_SCHEME } from './navigation';
+
+export const SHARE_VERSION = 1;
+export const MAX_SHARE_DATA = 2500; // characters of `data`; keeps the link small enough for a QR code
+const MAX_JSON = 50000; // characters once decompressed
+const LIMITS = { title: 200, tags: 20, ingredients: 100, steps: 60, line: 2000 };
+
+// ---- Encoding --------------------------------------------------------------
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+const isWebUrl = (uri) => /^https?:\/\//i.test(uri || '');
+
+// Short keys keep the link (and the QR code) small.
+function compact(recipe) {
+  return {
+    t: recipe.title,
+    g: recipe.tags,
+    i: recipe.ingredients.map(i => i.text),
+    s: getSteps(recipe),
+    p: recipe.prepTime,
+    v: recipe.servings,
+    c: recipe.calories,
+    d: recipe.difficulty,
+    ...(isWebUrl(recipe.image) ? { m: recipe.image } : {}), // photos on this device can't travel in a link
+  };
+}
+
+/** `{ data, url }` for a recipe, or null when it is too long for a link (share it as text instead). */
+export function encodeShareLink(recipe) {
+  const json = JSON.stringify(compact(recipe));
+  const data = `${SHARE_VERSION}.${checksum(json)}.${compressToEncodedURIComponent(json)}`;
+  if (data.length > MAX_SHARE_DATA) return null;
+  return { data, url: `${LINK_SCHEME}://import?data=${data}` };
+}
+
+/** The recipe as readable text, with the import link when there is one. */
+export function recipeToText(recipe, url = null) {
+  const meta = [recipe.prepTime, `Serves ${recipe.servings}`, recipe.calories ? `${recipe.calories} kcal` : '', recipe.difficulty];
+  return [
+    recipe.title,
+    meta.filter(Boolean).join(' · '),
+    '',
+    'Ingredients:',
+    ...recipe.ingredients.map(i => `- ${i.text}`),
+    '',
+    'Steps:',
+    ...getSteps(recipe).map((s, i) => `${i + 1}. ${s}`),
+    ...(url ? ['', `Open in Foodie: ${url}`] : []),
+  ].join('\n');
+}
+
+// ---- Decoding --------------------------------------------------------------
+const DAMAGED = 'This link is damaged or was changed after it was shared. Ask for the recipe to be shared again.';
+
+const isText = (v, max) => typeof v === 'string' && v.length <= max;
+const isTextList = (v, maxItems) => Array.isArray(v) && v.length <= maxItems && v.every(s => isText(s, LIMITS.line));
+const isAmount = (v) => Number.isFinite(v) && v >= 0 && v < 100000;
+
+/** Reason the decoded payload can't be imported, or null. */
+function invalidReason(p) {
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return 'not a recipe';
+  if (!isText(p.t, LIMITS.title) || !p.t.trim()) return 'missing title';
+  if (!isTextList(p.g, LIMITS.tags)) return 'bad categories';
+  if (!isTextList(p.i, LIMITS.ingredients)) return 'bad ingredients';
+  if (!isTextList(p.s, LIMITS.steps)) return 'bad steps';
+  if (!isText(p.p, 100) || !isText(p.d, 50)) return 'bad details';
+  if (!isAmount(p.v) || !isAmount(p.c)) return 'bad numbers';
+  if (p.m !== undefined && !(isText(p.m, LIMITS.line) && isWebUrl(p.m))) return 'bad image';
+  return null;
+}
+
+/**
+ * Recipe fields (no id or owner) from a link's `data`; throws an Error with a message for the user
+ * when the payload is too large, from a newer app version, damaged or not a recipe.
+ */
+export function decodeSharePayload(data) {
+  const raw = String(data ?? '');
+  if (raw.length > MAX_SHARE_DATA) throw new Error('This recipe link is too large to import.');
+  const m = raw.match(/^(\d+)\.([0-9a-z]+)\.([A-Za-z0-9+\-$]+)$/);
+  if (!m) throw new Error(DAMAGED);
+  if (Number(m[1]) !== SHARE_VERSION) throw new Error('This link was made with a newer version of Foodie. Update the app to open it.');
+
+  const json = decompressFromEncodedURIComponent(m[3]);
+  if (!json) throw new Error(DAMAGED);
+  if (json.length > MAX_JSON) throw new Error('This recipe link is too large to import.');
+  if (checksum(json) !== m[2]) throw new Error(DAMAGED);
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (e) {
+    throw new Error(DAMAGED);
+  }
+  if (invalidReason(payload)) throw new Error("This link doesn't contain a recipe Foodie can read.");
+
+  const steps = payload.s.map(s => s.trim()).filter(Boolean);
+  return {
+    title: payload.t.trim(),
+    tags: payload.g.map(t => t.trim()).filter(Boolean),
+    image: payload.m || '',
+    ingredients: parseIngredients(payload.i),
+    steps,
+    instructions: steps.join('\n'),
+    prepTime: payload.p,
+    servings: Math.max(1, Math.round(payload.v) || 1),
+    calories: Math.round(payload.c),
+    difficulty: payload.d || 'Easy',
+  };
+}
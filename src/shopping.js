@@ -0,0 +1,88 @@
+/**
+ * Shopping list built from recipes.
+ *
+ * Items are stored already merged: one entry per normalized ingredient name, holding the summed
+ * amounts (one per incompatible unit), the recipes it came from and its aisle.
+ */
+import { addAmount, formatAmount, ingredientKey, parseIngredient, scaleIngredient, singular } from './ingredients';
+
+// Words are singular; an entry of several words ('black pepper') is matched as a phrase.
+export const AISLES = [
+  { name: 'Produce', words: ['avocado', 'lettuce', 'romaine', 'onion', 'garlic', 'tomato', 'lemon', 'lime', 'potato', 'carrot', 'pepper', 'spinach', 'herb', 'basil', 'parsley', 'cilantro', 'apple', 'banana', 'berry', 'blueberry', 'strawberry', 'raspberry', 'mushroom', 'cucumber', 'zucchini', 'eggplant', 'ginger', 'celery', 'kale', 'broccoli', 'fruit', 'vegetable'] },
+  { name: 'Meat & Seafood', words: ['beef', 'chicken', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'fish', 'salmon', 'tuna', 'shrimp', 'prawn', 'meat'] },
+  { name: 'Dairy & Eggs', words: ['milk', 'buttermilk', 'cheese', 'parmesan', 'butter', 'cream', 'yogurt', 'yoghurt', 'egg', 'mozzarella', 'feta'] },
+  { name: 'Bakery', words: ['bread', 'breadcrumb', 'sourdough', 'bun', 'roll', 'tortilla', 'crouton', 'bagel', 'pita'] },
+  { name: 'Pasta, Rice & Grains', words: ['spaghetti', 'pasta', 'noodle', 'rice', 'oat', 'oatmeal', 'quinoa', 'flour', 'couscous'] },
+  { name: 'Spices & Condiments', words: ['salt', 'black pepper', 'white pepper', 'ground pepper', 'salt & pepper', 'salt and pepper', 'pepper flake', 'peppercorn', 'cayenne', 'chili', 'spice', 'cumin', 'paprika', 'oregano', 'cinnamon', 'sauce', 'dressing', 'vinegar', 'oil', 'mustard', 'ketchup', 'mayo', 'honey', 'sugar', 'stock', 'broth'] },
+  { name: 'Drinks', words: ['coffee', 'tea', 'soda', 'wine', 'beer', 'water'] },
+];
+export const OTHER_AISLE = 'Other';
+
+const LONGEST_PHRASE = Math.max(...AISLES.flatMap(a => a.words.map(w => w.split(' ').length)));
+
+export function aisleFor(key) {
+  const words = key.split(' ').filter(Boolean).map(singular);
+  // Check the last word first: 'tomato sauce' is a condiment, not produce. At each word the longest
+  // phrase ending there wins, so 'black pepper' is a spice while 'pepper' alone is produce.
+  for (let end = words.length; end > 0; end -= 1) {
+    for (let start = Math.max(0, end - LONGEST_PHRASE); start < end; start += 1) {
+      const phrase = words.slice(start, end).join(' ');
+      const aisle = AISLES.find(a => a.words.includes(phrase));
+      if (aisle) return aisle.name;
+    }
+  }
+  return OTHER_AISLE;
+}
+
+function mergeIngredient(items, ing, source) {
+  const key = ingredientKey(ing.item) || ing.text.toLowerCase();
+  const quantity = ing.quantityMax ?? ing.quantity; // buy enough for the upper end of a range
+  const existing = items.find(i => i.id === key);
+  if (!existing) {
+    return [...items, {
+      id: key,
+      name: ing.item,
+      amounts: quantity != null ? [{ quantity, unit: ing.unit }] : [],
+      aisle: aisleFor(key),
+      sources: source ? [source] : [],
+      checked: false,
+    }];
+  }
+  return items.map(i => (i === existing ? {
+    ...i,
+    amounts: quantity != null ? addAmount(i.amounts, { quantity, unit: ing.unit }) : i.amounts,
+    sources: source && !i.sources.includes(source) ? [...i.sources, source] : i.sources,
+    checked: false, // more is needed than what was ticked off
+  } : i));
+}
+
+/** Adds every ingredient of `recipe`, scaled from `recipe.servings` to `servings`. */
+export function addRecipeToList(items, recipe, servings) {
+  const factor = (Number(servings) || recipe.servings) / (recipe.servings || 1);
+  return recipe.ingredients.reduce(
+    (acc, ing) => mergeIngredient(acc, scaleIngredient(ing, factor), recipe.title),
+    items
+  );
+}
+
+export function addManualItem(items, text) {
+  if (!String(text).trim()) return items;
+  return mergeIngredient(items, parseIngredient(text), null);
+}
+
+export function formatAmounts(item) {
+  return item.amounts.map(formatAmount).join(' + ');
+}
+
+/** Sections for a SectionList: aisles in store order, unchecked items first within each aisle. */
+export function groupByAisle(items) {
+  const order = [...AISLES.map(a => a.name), OTHER_AISLE];
+  return order
+    .map(title => ({
+      title,
+      data: items
+        .filter(i => i.aisle === title)
+        .sort((a, b) => Number(a.checked) - Number(b.checked) || a.name.localeCompare(b.name)),
+    }))
+    .filter(section => section.data.length);
+}
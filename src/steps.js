@@ -0,0 +1,33 @@
+/**
+ * Splitting instructions into steps and finding which ingredients a step uses, for Cook Mode.
+ */
+import { ingredientKey } from './ingredients';
+
+const NUMBERING_RE = /^\s*(?:step\s*)?\d+\s*[.):-]\s*/i;
+const STOP_WORDS = new Set(['and', 'with', 'the', 'for', 'of', 'to', 'or', 'a', 'in']);
+
+/** Numbered lines become steps; a single paragraph is split into sentences. */
+export function splitSteps(instructions) {
+  const text = String(instructions ?? '').trim();
+  if (!text) return [];
+  const lines = text.split(/\n+/).map(l => l.trim()).filter(Boolean);
+  const parts = lines.length > 1 ? lines : text.split(/(?<=[.!?])\s+(?=[A-Z0-9])/);
+  return parts.map(p => p.replace(NUMBERING_RE, '').trim()).filter(Boolean);
+}
+
+/** Explicitly authored `recipe.steps` win over splitting `recipe.instructions`. */
+export function getSteps(recipe) {
+  if (Array.isArray(recipe.steps) && recipe.steps.some(s => s.trim())) return recipe.steps.filter(s => s.trim());
+  return splitSteps(recipe.instructions);
+}
+
+const words = (s) => ingredientKey(s).split(/[\s&-]+/).filter(w => w.length > 2 && !STOP_WORDS.has(w));
+
+/** Indexes into `ingredients` of the ones the step mentions by name. */
+export function ingredientsInStep(step, ingredients) {
+  const stepWords = new Set(words(step));
+  return ingredients.reduce((acc, ing, i) => {
+    if (words(ing.item).some(w => stepWords.has(w))) acc.push(i);
+    return acc;
+  }, []);
+}
@@ -0,0 +1,306 @@
+/**
+ * Versioned persistence on top of AsyncStorage.
+ *
+ * - Every persisted slice of state lives under its own `foodie:` key (see `storageKeys`).
+ * - Recipes get one key each (`foodie:recipe:<id>`) plus their order in `foodie:recipeIds`, so a
+ *   change rewrites only the recipes it touched instead of the whole library.
+ * - `foodie:schemaVersion` records which MIGRATIONS have run; older data is migrated on load.
+ * - Corrupt JSON and malformed recipes are moved to `foodie:quarantine` instead of crashing screens.
+ * - Writes are debounced, only changed keys are written (one multiSet) and failures are reported.
+ *
+ * Functions take the storage object as a parameter (defaulting to AsyncStorage) so they can be
+ * exercised against the AsyncStorage Jest mock.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CATEGORIES, mergeCategories, upgradeTags } from './categories';
+import { collectionsFromFavorites } from './collections';
+import { upgradeRecipe } from './ingredients';
+import { selectRecipes } from './library';
+
+export const storageKeys = {
+  collections: 'foodie:collections',
+  shopping: 'foodie:shopping',
+  mealPlan: 'foodie:mealPlan',
+  pantry: 'foodie:pantry',
+  allergyProfile: 'foodie:allergyProfile',
+  categories: 'foodie:categories',
+  cookLog: 'foodie:cookLog',
+  recipeNotes: 'foodie:recipeNotes',
+  revisions: 'foodie:revisions',
+  imageCache: 'foodie:imageCache',
+  sync: 'foodie:sync',
+  themeMode: 'foodie:themeMode',
+  draft: 'foodie:draft', // the unsaved new recipe, see src/recipeForm.js
+  navigation: 'foodie:navigation', // the screen stack, restored on relaunch
+};
+// Keys older versions wrote; read once so a migration can convert them, then removed.
+const LEGACY_KEYS = {
+  favorites: 'foodie:favorites', // -> collections (v3)
+  recipes: 'foodie:recipes', // all recipes in one value -> one key per recipe
+};
+export const RECIPE_INDEX_KEY = 'foodie:recipeIds';
+const RECIPE_KEY_PREFIX = 'foodie:recipe:';
+export const recipeKey = (id) => `${RECIPE_KEY_PREFIX}${id}`;
+export const SCHEMA_VERSION_KEY = 'foodie:schemaVersion';
+export const QUARANTINE_KEY = 'foodie:quarantine';
+const QUARANTINE_LIMIT = 50;
+
+// ---- Migrations ------------------------------------------------------------
+// Ordered; each `up` receives the parsed slices `{ recipes, favorites, ... }` (missing ones undefined)
+// and returns the next shape. Never edit a shipped migration, append a new one.
+export const MIGRATIONS = [
+  {
+    version: 1, // free-text ingredient strings -> structured ingredients
+    up: (data) => ({ ...data, recipes: data.recipes && data.recipes.map(upgradeRecipe) }),
+  },
+  {
+    version: 2, // single `category` -> `tags`, plus the user-editable category list
+    up: (data) => {
+      const recipes = data.recipes && data.recipes.map(upgradeTags);
+      return { ...data, recipes, categories: data.categories || mergeCategories(DEFAULT_CATEGORIES, recipes || []) };
+    },
+  },
+  {
+    version: 3, // favorites map -> built-in Favorites collection
+    up: ({ favorites, ...data }) => ({ ...data, collections: data.collections || collectionsFromFavorites(favorites) }),
+  },
+];
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function migrate(data, fromVersion) {
+  return MIGRATIONS
+    .filter(m => m.version > fromVersion)
+    .reduce((acc, m) => m.up(acc), data);
+}
+
+// ---- Validation ------------------------------------------------------------
+/** Reason a stored recipe can't be used, or null when it is usable. */
+export function validateRecipe(r) {
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return 'not an object';
+  if (typeof r.id !== 'string' || !r.id) return 'missing id';
+  if (typeof r.title !== 'string' || !r.title.trim()) return 'missing title';
+  if (!Array.isArray(r.ingredients)) return 'ingredients is not a list';
+  if (r.instructions != null && typeof r.instructions !== 'string') return 'instructions is not text';
+  return null;
+}
+
+/** Fills in fields older or hand-edited data may lack so screens can render every recipe. */
+export function sanitizeRecipe(r) {
+  return {
+    ...r,
+    tags: Array.isArray(r.tags) ? r.tags.filter(t => typeof t === 'string' && t.trim()) : [],
+    image: typeof r.image === 'string' ? r.image : '',
+    instructions: r.instructions || '',
+    prepTime: typeof r.prepTime === 'string' ? r.prepTime : String(r.prepTime ?? ''),
+    servings: Math.max(1, Number(r.servings) || 1),
+    calories: Number(r.calories) || 0,
+    difficulty: typeof r.difficulty === 'string' && r.difficulty ? r.difficulty : 'Easy',
+    owner: r.owner || 'me',
+  };
+}
+
+const SLICE_CHECKS = {
+  recipes: Array.isArray,
+  favorites: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+  collections: (v) => Array.isArray(v) && v.every(c => c && typeof c.id === 'string' && Array.isArray(c.recipeIds)),
+  shopping: Array.isArray,
+  mealPlan: Array.isArray,
+  pantry: Array.isArray,
+  allergyProfile: (v) => !!v && Array.isArray(v.allergens),
+  categories: (v) => Array.isArray(v) && v.every(c => typeof c === 'string'),
+  cookLog: (v) => Array.isArray(v) && v.every(e => e && typeof e.recipeId === 'string' && typeof e.date === 'string'),
+  recipeNotes: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+  revisions: (v) => !!v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(Array.isArray),
+  imageCache: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+  sync: (v) => !!v && typeof v.serverUrl === 'string' && Array.isArray(v.pending) && Array.isArray(v.conflicts),
+  themeMode: (v) => typeof v === 'string',
+  draft: (v) => v === null || (!!v && typeof v.id === 'string' && !!v.form && Array.isArray(v.form.ingredients)),
+  navigation: Array.isArray,
+};
+
+// ---- Loading ---------------------------------------------------------------
+async function quarantine(storage, entries) {
+  if (!entries.length) return;
+  let existing = [];
+  try {
+    existing = JSON.parse(await storage.getItem(QUARANTINE_KEY)) || [];
+  } catch (e) {
+    existing = [];
+  }
+  const at = new Date().toISOString();
+  const next = [...existing, ...entries.map(e => ({ ...e, at }))].slice(-QUARANTINE_LIMIT);
+  await storage.setItem(QUARANTINE_KEY, JSON.stringify(next));
+}
+
+// ---- Recipes, one key each ------------------------------------------------
+/** `[key, value]` for the recipe index and every recipe. */
+function recipeEntries(recipes) {
+  return [[RECIPE_INDEX_KEY, recipes.map(r => r.id)], ...recipes.map(r => [recipeKey(r.id), r])];
+}
+
+function readRecipeIndex(values, quarantined) {
+  const stored = values[RECIPE_INDEX_KEY];
+  if (stored == null) return null;
+  try {
+    const ids = JSON.parse(stored);
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) throw new Error('unexpected shape');
+    return ids;
+  } catch (e) {
+    quarantined.push({ key: RECIPE_INDEX_KEY, reason: `unreadable: ${e.message}`, value: stored });
+    return null;
+  }
+}
+
+/**
+ * Reads, migrates and validates every persisted slice.
+ * Resolves `{ payload, raw, quarantined }`: `payload` holds only the slices found in storage,
+ * `raw` the serialized values now in storage (to seed the writer). Rejects only if storage itself
+ * can't be read, in which case nothing must be written back.
+ */
+export async function loadState(storage = AsyncStorage) {
+  const names = Object.keys(storageKeys);
+  const keyOf = { ...LEGACY_KEYS, ...storageKeys };
+  const pairs = await storage.multiGet([SCHEMA_VERSION_KEY, RECIPE_INDEX_KEY, ...Object.values(keyOf)]);
+  const values = Object.fromEntries(pairs);
+  const quarantined = [];
+  let data = {};
+
+  Object.keys(keyOf).forEach(name => {
+    const stored = values[keyOf[name]];
+    if (stored == null) return;
+    try {
+      const parsed = JSON.parse(stored);
+      if (!SLICE_CHECKS[name](parsed)) throw new Error('unexpected shape');
+      data[name] = parsed;
+    } catch (e) {
+      quarantined.push({ key: keyOf[name], reason: `unreadable: ${e.message}`, value: stored });
+    }
+  });
+
+  const storedRecipeKeys = (await storage.getAllKeys()).filter(key => key.startsWith(RECIPE_KEY_PREFIX));
+  let recipeIds = readRecipeIndex(values, quarantined);
+  // Without a readable index, every stored recipe is recovered (in no particular order).
+  if (!recipeIds && storedRecipeKeys.length) recipeIds = storedRecipeKeys.map(key => key.slice(RECIPE_KEY_PREFIX.length));
+  if (recipeIds) {
+    const stored = await storage.multiGet(recipeIds.map(recipeKey));
+    Object.assign(values, Object.fromEntries(stored));
+    data.recipes = [];
+    stored.forEach(([key, value]) => {
+      if (value == null) return;
+      try {
+        data.recipes.push(JSON.parse(value));
+      } catch (e) {
+        quarantined.push({ key, reason: `unreadable: ${e.message}`, value });
+      }
+    });
+  }
+
+  if (data.recipes) {
+    data.recipes = data.recipes.filter(r => {
+      const reason = validateRecipe(r);
+      if (reason) quarantined.push({ key: typeof r?.id === 'string' ? recipeKey(r.id) : RECIPE_INDEX_KEY, reason, value: r });
+      return !reason;
+    });
+  }
+
+  const fromVersion = Number(values[SCHEMA_VERSION_KEY]) || 0;
+  if (fromVersion < SCHEMA_VERSION) data = migrate(data, fromVersion);
+  if (data.recipes) data.recipes = data.recipes.map(sanitizeRecipe);
+
+  const payload = Object.fromEntries(['recipes', ...names].filter(n => data[n] !== undefined).map(n => [n, data[n]]));
+  const raw = {
+    ...Object.fromEntries(names.filter(n => payload[n]).map(n => [storageKeys[n], JSON.stringify(payload[n])])),
+    ...(payload.recipes ? Object.fromEntries(recipeEntries(payload.recipes).map(([key, value]) => [key, JSON.stringify(value)])) : {}),
+  };
+
+  // Write back migrated/cleaned data and the version so this only happens once.
+  const changed = Object.entries(raw).filter(([key, value]) => values[key] !== value);
+  if (changed.length || fromVersion !== SCHEMA_VERSION) {
+    await storage.multiSet([...changed, [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)]]);
+  }
+  // Quarantined values are kept before anything is removed, so a failed write loses nothing.
+  await quarantine(storage, quarantined);
+  const legacy = Object.values(LEGACY_KEYS).filter(key => values[key] != null);
+  // Recipes no longer in the index (e.g. the app stopped between writing and removing keys) and
+  // the quarantined ones.
+  const orphans = storedRecipeKeys.filter(key => raw[key] === undefined);
+  if (legacy.length || orphans.length) await storage.multiRemove([...legacy, ...orphans]);
+
+  return { payload, raw, quarantined };
+}
+
+// ---- Writing ---------------------------------------------------------------
+/**
+ * Debounced writer. `schedule(state)` queues the persisted slices of `state`; after `delay` ms the
+ * keys whose serialized value changed are written in one multiSet, and the keys of recipes no
+ * longer in the library are removed. `onError(error)` is called with the failure, and with null
+ * once a later write succeeds.
+ *
+ * Values are compared by identity first, so slices and recipes the reducer didn't touch aren't
+ * even serialized (see src/library.js).
+ */
+export function createWriter({ storage = AsyncStorage, delay = 300, onError = () => {} } = {}) {
+  const written = {}; // key => last serialized value known to be in storage
+  const source = {}; // key => the value `written[key]` was serialized from
+  let pending = null;
+  let latest = null;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return queue;
+    const state = pending;
+    pending = null;
+    const entries = [
+      ...Object.entries(storageKeys).filter(([name]) => state[name] !== undefined).map(([name, key]) => [key, state[name]]),
+      ...(state.recipesById ? recipeEntries(selectRecipes(state)) : []),
+    ];
+    const changed = [];
+    entries.forEach(([key, value]) => {
+      if (source[key] === value) return;
+      const json = JSON.stringify(value);
+      if (written[key] === json) source[key] = value;
+      else changed.push([key, json, value]);
+    });
+    const removed = state.recipesById
+      ? Object.keys(written).filter(key => key.startsWith(RECIPE_KEY_PREFIX) && !state.recipesById[key.slice(RECIPE_KEY_PREFIX.length)])
+      : [];
+    if (!changed.length && !removed.length) return queue;
+    queue = queue
+      .then(() => (changed.length ? storage.multiSet(changed.map(([key, json]) => [key, json])) : null))
+      .then(() => (removed.length ? storage.multiRemove(removed) : null))
+      .then(() => {
+        changed.forEach(([key, json, value]) => {
+          written[key] = json;
+          source[key] = value;
+        });
+        removed.forEach(key => {
+          delete written[key];
+          delete source[key];
+        });
+        onError(null);
+      }, (e) => onError(e));
+    return queue;
+  };
+
+  return {
+    /** Marks values as already stored, e.g. what `loadState` returned as `raw`. */
+    prime(raw) {
+      Object.assign(written, raw);
+    },
+    schedule(state) {
+      pending = state;
+      latest = state;
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+    flush,
+    retry() {
+      if (!latest) return queue;
+      pending = latest;
+      return flush();
+    },
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Optional two-way sync of recipes with a self-hosted server (see server/sync-server.js).
+ *
+ * Sync is off until `state.sync.serverUrl` is set. Every change to a recipe stamps its `updatedAt`
+ * (`trackRecipeChanges`); while sync is on the recipe id is also queued in `sync.pending`, and a
+ * purged recipe leaves a tombstone in `sync.tombstones`. `syncNow` pulls the server's changes since
+ * `sync.cursor` and pushes the queue; `applySyncResult` then merges the outcome into the *current*
+ * state, so edits made while the request was in flight stay queued.
+ *
+ * A recipe changed both here and on the server is decided by `pickWinner`, the same rule the
+ * server uses: the later `updatedAt` wins, a tie goes to the version whose JSON sorts last. The
+ * losing version is kept in `sync.conflicts` so the user can review it and switch.
+ *
+ * Protocol (JSON):
+ *   GET  <url>/changes?since=<cursor>  -> { changes, cursor }
+ *   POST <url>/changes  { changes }    -> { accepted: [id], rejected: [change] }  (rejected: the server's newer version)
+ * A change is `{ id, updatedAt, device, recipe }`, or `{ id, updatedAt, device, deleted: true }` for a
+ * tombstone; `device` is this install's `sync.deviceId`, so pulls can skip our own pushes.
+ * Sample recipes are never synced; every device has its own copies.
+ */
+import { upgradeTags } from './categories';
+import { upgradeRecipe } from './ingredients';
+import { putRecipes } from './library';
+import { sanitizeRecipe, validateRecipe } from './storage';
+
+const REQUEST_TIMEOUT_MS = 15000;
+export const SYNC_DELAY_MS = 5000; // after a local change, so a burst of edits goes out in one push
+export const CONFLICT_LIMIT = 50;
+
+export const EMPTY_SYNC = {
+  serverUrl: '',
+  deviceId: '',
+  cursor: 0, // server position of the last pull
+  pending: [], // recipe ids changed here and not pushed yet
+  tombstones: {}, // purged recipe id => time, until pushed
+  conflicts: [], // { id, recipeId, title, kept: 'device' | 'server', other: change, at }
+  lastSyncedAt: null,
+};
+
+export const isSyncEnabled = (sync) => !!sync?.serverUrl;
+
+const isSyncable = (recipe) => recipe.owner !== 'sample';
+
+export const recipeVersion = (recipe) => recipe.updatedAt || recipe.createdAt || 0;
+
+/** Trimmed server address without a trailing slash; throws a user-facing message when invalid. */
+export function normalizeServerUrl(url) {
+  const trimmed = String(url ?? '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^\s/]+/i.test(trimmed)) throw new Error('Enter the server address, e.g. http://192.168.1.20:8787');
+  return trimmed;
+}
+
+// ---- Turning sync on and off -----------------------------------------------
+/** Sync state for a newly configured server: everything is pulled, and every own recipe pushed. */
+export const enableSync = (recipes, serverUrl, deviceId) => ({
+  ...EMPTY_SYNC,
+  serverUrl: normalizeServerUrl(serverUrl),
+  deviceId,
+  pending: recipes.filter(isSyncable).map(r => r.id),
+});
+
+export const disableSync = () => EMPTY_SYNC;
+
+// ---- Tracking local changes ------------------------------------------------
+const addPending = (pending, ids) => [...new Set([...pending, ...ids])];
+
+/**
+ * Runs after the reducer: stamps `updatedAt` on recipes that `next` added or replaced and, when
+ * sync is on, queues them (or a tombstone for removed ones). Returns `next` untouched otherwise.
+ * Works on the normalized library (src/library.js), comparing recipe objects by identity.
+ */
+export function trackRecipeChanges(prev, next, now) {
+  if (prev.recipesById === next.recipesById) return next;
+  const recipesById = { ...next.recipesById };
+  const changed = [];
+  next.recipeIds.forEach(id => {
+    const r = next.recipesById[id];
+    if (prev.recipesById[id] === r) return;
+    changed.push(r);
+    recipesById[id] = { ...r, updatedAt: now };
+  });
+  if (!isSyncEnabled(next.sync)) return { ...next, recipesById };
+
+  const removed = prev.recipeIds.filter(id => !recipesById[id] && isSyncable(prev.recipesById[id]));
+  const tombstones = { ...next.sync.tombstones };
+  removed.forEach(id => { tombstones[id] = now; });
+  const pending = addPending(next.sync.pending, changed.filter(isSyncable).map(r => r.id)).filter(id => recipesById[id]);
+  return { ...next, recipesById, sync: { ...next.sync, pending, tombstones } };
+}
+
+/**
+ * Puts back earlier versions of recipes (an undo) without treating them as new edits: they keep
+ * their `updatedAt`, unless the edit being undone was already pushed; then the restored version
+ * is stamped and queued so other devices get the undo too. Returns the recipes to store and `sync`.
+ */
+export function restoreVersions(sync, recipes, now) {
+  const pushed = recipes.filter(r => isSyncEnabled(sync) && isSyncable(r) && !sync.pending.includes(r.id));
+  if (!pushed.length) return { recipes, sync };
+  const ids = new Set(pushed.map(r => r.id));
+  return {
+    recipes: recipes.map(r => (ids.has(r.id) ? { ...r, updatedAt: now } : r)),
+    sync: { ...sync, pending: addPending(sync.pending, [...ids]) },
+  };
+}
+
+// ---- Talking to the server -------------------------------------------------
+/** Changes to push: queued recipes and tombstones. */
+export function outgoingChanges({ recipesById, sync }) {
+  const device = sync.deviceId;
+  return [
+    ...sync.pending.filter(id => recipesById[id]).map(id => ({ id, updatedAt: recipeVersion(recipesById[id]), device, recipe: recipesById[id] })),
+    ...Object.entries(sync.tombstones).map(([id, at]) => ({ id, updatedAt: at, device, deleted: true })),
+  ];
+}
+
+async function request(url, options, fetchImpl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetchImpl(url, { ...options, signal: controller.signal, headers: { 'Content-Type': 'application/json' } });
+    if (!res.ok) throw new Error(`The sync server answered HTTP ${res.status}.`);
+    return await res.json();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error('The sync server took too long to answer.');
+    if (e instanceof TypeError) throw new Error('The sync server could not be reached.');
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Pulls, then pushes. Resolves `{ cursor, incoming, sent, at }` for `applySyncResult`; rejects
+ * with a user-facing message.
+ */
+export async function syncNow(state, fetchImpl = fetch) {
+  const { serverUrl, cursor } = state.sync;
+  const outgoing = outgoingChanges(state);
+  const pulled = await request(`${serverUrl}/changes?since=${encodeURIComponent(cursor)}`, { method: 'GET' }, fetchImpl);
+  const pushed = outgoing.length
+    ? await request(`${serverUrl}/changes`, { method: 'POST', body: JSON.stringify({ changes: outgoing }) }, fetchImpl)
+    : { accepted: [], rejected: [] };
+  const accepted = new Set(pushed.accepted);
+  // A rejected push returns the server's version, which the pull may already hold; keep one copy.
+  const rejected = new Set(pushed.rejected.map(c => c.id));
+  return {
+    cursor: pulled.cursor,
+    incoming: [...pulled.changes.filter(c => !rejected.has(c.id)), ...pushed.rejected],
+    sent: outgoing.filter(c => accepted.has(c.id)).map(({ id, updatedAt, deleted }) => ({ id, updatedAt, deleted: !!deleted })),
+    at: Date.now(),
+  };
+}
+
+// ---- Merging ---------------------------------------------------------------
+/** The change that wins: later `updatedAt`, then the one whose JSON sorts last. */
+export function pickWinner(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt ? a : b;
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+}
+
+const sameChange = (a, b) => a.updatedAt === b.updatedAt && !!a.deleted === !!b.deleted
+  && JSON.stringify(a.recipe ?? null) === JSON.stringify(b.recipe ?? null);
+
+const incomingRecipe = (recipe) => ({ ...sanitizeRecipe(upgradeRecipe(upgradeTags(recipe))), owner: 'me' });
+
+// Server data is checked like stored data; a broken recipe is ignored rather than synced in.
+const isUsable = (change) => change.deleted || !validateRecipe(change.recipe);
+
+/**
+ * Merges a `syncNow` result into `state`. Returns `{ recipesById, recipeIds, sync, purged }`;
+ * `purged` lists recipes deleted on the server, which the caller removes like a purge from the Trash.
+ */
+export function applySyncResult(state, { cursor, incoming, sent, at }) {
+  const recipes = new Map(Object.entries(state.recipesById));
+  const taken = new Map(); // id => recipe received from the server
+  const pending = new Set(state.sync.pending);
+  const tombstones = { ...state.sync.tombstones };
+  const conflicts = [];
+  const purged = [];
+
+  // Pushed changes are done unless the recipe changed again since.
+  sent.forEach(c => {
+    if (c.deleted && tombstones[c.id] === c.updatedAt) delete tombstones[c.id];
+    const local = recipes.get(c.id);
+    if (!c.deleted && local && recipeVersion(local) === c.updatedAt) pending.delete(c.id);
+  });
+
+  const device = state.sync.deviceId;
+  const localChange = (id) => {
+    const local = recipes.get(id);
+    if (local) return { id, updatedAt: recipeVersion(local), device, recipe: local };
+    return tombstones[id] ? { id, updatedAt: tombstones[id], device, deleted: true } : null;
+  };
+  const take = (change) => {
+    pending.delete(change.id);
+    delete tombstones[change.id];
+    if (change.deleted) {
+      if (recipes.has(change.id)) purged.push(change.id);
+    } else {
+      const recipe = { ...incomingRecipe(change.recipe), id: change.id, updatedAt: change.updatedAt };
+      recipes.set(change.id, recipe);
+      taken.set(change.id, recipe);
+    }
+  };
+
+  incoming.filter(c => c.device !== device && isUsable(c)).forEach(remote => {
+    const local = localChange(remote.id);
+    if (!local) {
+      if (!remote.deleted) take(remote);
+      return;
+    }
+    if (sameChange(local, remote)) return;
+    if (local.deleted && remote.deleted) {
+      delete tombstones[remote.id];
+      return;
+    }
+    const winner = pickWinner(local, remote);
+    const changedHere = state.sync.pending.includes(remote.id) || state.sync.tombstones[remote.id] != null;
+    if (changedHere) {
+      conflicts.push({
+        id: `${remote.id}:${remote.updatedAt}`,
+        recipeId: remote.id,
+        title: (local.recipe || remote.recipe)?.title || 'Deleted recipe',
+        kept: winner === remote ? 'server' : 'device',
+        other: winner === remote ? local : remote,
+        at,
+      });
+    }
+    if (winner === remote) take(remote);
+  });
+
+  return {
+    ...putRecipes(state, [...taken.values()]),
+    purged,
+    sync: {
+      ...state.sync,
+      cursor,
+      pending: [...pending],
+      tombstones,
+      conflicts: [...conflicts, ...state.sync.conflicts].slice(0, CONFLICT_LIMIT),
+      lastSyncedAt: at,
+    },
+  };
+}
+
+// ---- Reviewing conflicts ---------------------------------------------------
+export const dismissConflict = (sync, id) => ({ ...sync, conflicts: sync.conflicts.filter(c => c.id !== id) });
+
+/** The recipe to save when the user picks the version a conflict discarded; null when that was a deletion. */
+export function conflictRecipe(conflict) {
+  return conflict.other.deleted ? null : { ...incomingRecipe(conflict.other.recipe), id: conflict.recipeId };
+}
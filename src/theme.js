@@ -0,0 +1,185 @@
+/**
+ * Light, dark and high-contrast themes.
+ *
+ * Screens never use color literals: they read semantic tokens (`colors.textMuted`, `colors.surface`)
+ * plus the shared `spacing`, `radius` and `type` scales from the current theme, so a palette only has
+ * to be defined here. Paddings, margins, gaps, corner radii and font sizes come from those scales
+ * too; only sizes of fixed elements (image heights, icon boxes) are written out where they're used.
+ * `themeMode` ('system' | 'light' | 'dark' | 'contrast') is the user's choice; 'system' follows the
+ * device color scheme.
+ */
+import { Platform } from 'react-native';
+
+export const THEME_MODES = [
+  { key: 'system', label: 'Automatic' },
+  { key: 'light', label: 'Light' },
+  { key: 'dark', label: 'Dark' },
+  { key: 'contrast', label: 'High contrast' },
+];
+export const DEFAULT_THEME_MODE = 'system';
+
+// ---- Palettes --------------------------------------------------------------
+const LIGHT = {
+  background: '#f3f4f6', // screens behind cards
+  surface: '#ffffff', // cards, sheets, plain screens
+  surfaceMuted: '#f9fafb', // panels and inputs on a surface
+  chip: '#e5e7eb', // inactive pills, secondary buttons
+  border: '#e5e7eb',
+  text: '#111827',
+  textSecondary: '#374151',
+  textMuted: '#6b7280',
+  textFaint: '#9ca3af',
+  primary: '#111827', // filled buttons, active pills
+  onPrimary: '#ffffff',
+  onAccent: '#ffffff', // text on the colored buttons below
+  disabled: '#9ca3af',
+  link: '#2563eb',
+  accent: '#2563eb',
+  success: '#10b981',
+  successText: '#047857',
+  danger: '#ef4444',
+  dangerText: '#991b1b',
+  dangerBg: '#fee2e2',
+  warning: '#f59e0b',
+  warningText: '#92400e',
+  warningBg: '#fef3c7',
+  highlight: '#fbbf24', // snackbar action
+  overlay: 'rgba(0,0,0,0.3)',
+  shadow: '#000000',
+};
+
+const DARK = {
+  ...LIGHT,
+  background: '#0b0f19',
+  surface: '#151b28',
+  surfaceMuted: '#1f2937',
+  chip: '#2b3444',
+  border: '#374151',
+  text: '#f3f4f6',
+  textSecondary: '#d1d5db',
+  textMuted: '#9ca3af',
+  textFaint: '#6b7280',
+  primary: '#f3f4f6',
+  onPrimary: '#111827',
+  disabled: '#4b5563',
+  link: '#60a5fa',
+  accent: '#3b82f6',
+  success: '#059669',
+  successText: '#34d399',
+  danger: '#dc2626',
+  dangerText: '#fca5a5',
+  dangerBg: '#3f1d1d',
+  warning: '#d97706',
+  warningText: '#fcd34d',
+  warningBg: '#3b2f0b',
+  overlay: 'rgba(0,0,0,0.6)',
+};
+
+// Pure black and white with saturated accents (WCAG AAA for body text).
+const CONTRAST = {
+  ...LIGHT,
+  background: '#ffffff',
+  surface: '#ffffff',
+  surfaceMuted: '#ffffff',
+  chip: '#ffffff',
+  border: '#000000',
+  text: '#000000',
+  textSecondary: '#000000',
+  textMuted: '#1f1f1f',
+  textFaint: '#333333',
+  primary: '#000000',
+  onPrimary: '#ffffff',
+  disabled: '#595959',
+  link: '#0000cc',
+  accent: '#0000cc',
+  success: '#006400',
+  successText: '#006400',
+  danger: '#b00000',
+  dangerText: '#8b0000',
+  dangerBg: '#ffffff',
+  warning: '#7a4a00',
+  warningText: '#6b3e00',
+  warningBg: '#ffffff',
+  highlight: '#ffd400',
+  overlay: 'rgba(0,0,0,0.7)',
+};
+
+// ---- Scales ----------------------------------------------------------------
+// The `Plus` steps sit halfway to the next size, for tight controls like pills and buttons.
+const spacing = { xxs: 2, xs: 4, xsPlus: 6, sm: 8, smPlus: 10, md: 12, mdPlus: 14, lg: 16, xl: 20, xxl: 24 };
+const radius = { sm: 8, md: 10, lg: 12, card: 14, xl: 16, pill: 999 };
+// Font sizes; `icon` and up are for emoji and symbols used as icons.
+const type = { badge: 11, caption: 12, body: 14, subtitle: 16, title: 18, heading: 20, icon: 22, display: 24, iconLg: 28, hero: 36 };
+
+function buildTheme(name, colors, { dark = false, outlined = false } = {}) {
+  // High contrast draws borders where the other themes rely on subtle fills.
+  const outline = outlined ? { borderWidth: 1, borderColor: colors.border } : {};
+  return {
+    name,
+    dark,
+    colors,
+    spacing,
+    radius,
+    type,
+    outline,
+    styles: {
+      label: { fontWeight: '700', marginTop: spacing.md, marginBottom: spacing.xsPlus, color: colors.text },
+      input: {
+        borderWidth: 1,
+        borderColor: colors.border,
+        backgroundColor: colors.surfaceMuted,
+        color: colors.text,
+        borderRadius: radius.md,
+        paddingHorizontal: spacing.md,
+        paddingVertical: Platform.OS === 'ios' ? spacing.md : spacing.sm,
+      },
+      stepper: {
+        width: 32,
+        height: 32,
+        borderRadius: radius.xl,
+        backgroundColor: colors.chip,
+        alignItems: 'center',
+        justifyContent: 'center',
+        ...outline,
+      },
+      // Filled buttons: `button` in the primary color, `secondaryButton` on a chip background.
+      button: {
+        backgroundColor: colors.primary,
+        color: colors.onPrimary,
+        paddingVertical: spacing.smPlus,
+        paddingHorizontal: spacing.md,
+        borderRadius: radius.sm,
+        overflow: 'hidden',
+      },
+      secondaryButton: {
+        backgroundColor: colors.chip,
+        color: colors.text,
+        paddingVertical: spacing.smPlus,
+        paddingHorizontal: spacing.md,
+        borderRadius: radius.sm,
+        overflow: 'hidden',
+        ...outline,
+      },
+      link: { fontWeight: '600', color: colors.link },
+      sheet: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: radius.xl,
+        borderTopRightRadius: radius.xl,
+        padding: spacing.lg,
+        ...outline,
+      },
+    },
+  };
+}
+
+export const THEMES = {
+  light: buildTheme('light', LIGHT),
+  dark: buildTheme('dark', DARK, { dark: true }),
+  contrast: buildTheme('contrast', CONTRAST, { outlined: true }),
+};
+
+/** Theme for the user's mode; 'system' follows `systemScheme` ('light' | 'dark' | null). */
+export function resolveTheme(mode, systemScheme) {
+  if (THEMES[mode]) return THEMES[mode];
+  return systemScheme === 'dark' ? THEMES.dark : THEMES.light;
+}
@@ -0,0 +1,28 @@
+/**
+ * Soft delete. Deleting a recipe stamps `deletedAt` instead of removing it; trashed recipes are
+ * hidden from every list, can be restored, and are purged for good after TRASH_RETENTION_DAYS.
+ */
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 86400000;
+
+export const isTrashed = (recipe) => !!recipe?.deletedAt;
+export const liveRecipes = (recipes) => recipes.filter(r => !r.deletedAt);
+export const trashedRecipes = (recipes) => recipes
+  .filter(r => r.deletedAt)
+  .sort((a, b) => b.deletedAt - a.deletedAt);
+
+export const trashRecipe = (recipe, now) => ({ ...recipe, deletedAt: now });
+
+export function restoreRecipe(recipe) {
+  const { deletedAt, ...rest } = recipe;
+  return rest;
+}
+
+/** Whole days left before a trashed recipe is purged. */
+export const daysUntilPurge = (recipe, now) => Math.max(0, TRASH_RETENTION_DAYS - Math.floor((now - recipe.deletedAt) / DAY_MS));
+
+/** Ids of trashed recipes older than the retention period. */
+export const expiredIds = (recipes, now) => recipes
+  .filter(r => r.deletedAt && now - r.deletedAt >= TRASH_RETENTION_DAYS * DAY_MS)
+  .map(r => r.id);
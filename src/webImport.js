@@ -0,0 +1,156 @@
+/**
+ * "Import from URL": pull a recipe out of a web page.
+ *
+ * `extractRecipeFromHtml` is pure (HTML string in, recipe draft out) so it can be run against
+ * saved pages. It prefers embedded schema.org JSON-LD, then schema.org microdata, then Open Graph
+ * tags (title/image/description only). The draft has the shape of `fromSchemaOrg` and no id.
+ */
+import { decodeEntities, findSchemaRecipes, fromSchemaOrg } from './importExport';
+
+const FETCH_TIMEOUT_MS = 15000;
+
+// ---- HTML helpers (regex based; pages only need to be scanned, not rendered) ------------------
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]) : null;
+}
+
+const stripTags = (html) => decodeEntities(html.replace(/<br\s*\/?>|<\/(li|p|div|h\d)>/gi, '\n').replace(/<[^>]+>/g, ' '))
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+export function resolveUrl(url, base) {
+  if (!url) return '';
+  try {
+    return new URL(url, base || undefined).toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+// ---- JSON-LD -----------------------------------------------------------------------------
+function jsonLdBlocks(html) {
+  const blocks = [];
+  const re = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  for (const [, body] of html.matchAll(re)) {
+    const cleaned = body.replace(/^\s*(<!--|<!\[CDATA\[)/, '').replace(/(-->|\]\]>)\s*$/, '').trim();
+    try {
+      blocks.push(JSON.parse(cleaned));
+    } catch (e) {
+      // Some sites ship invalid JSON-LD next to a valid block; skip it.
+    }
+  }
+  return blocks;
+}
+
+// ---- Microdata ---------------------------------------------------------------------------
+const VALUE_ATTRS = ['content', 'datetime', 'src', 'href'];
+
+/** `itemprop` name => values within the first schema.org/Recipe itemscope. */
+function microdataProps(html) {
+  const start = html.search(/itemtype\s*=\s*["']?https?:\/\/schema\.org\/Recipe["'\s>]/i);
+  if (start < 0) return null;
+  const scope = html.slice(start);
+  const props = {};
+  const re = /<([a-z0-9]+)\b([^>]*\bitemprop\s*=\s*["']?([^"'\s>]+)["']?[^>]*)>/gi;
+  for (const m of scope.matchAll(re)) {
+    const [tag, name, , prop] = m;
+    const direct = VALUE_ATTRS.map(a => attr(tag, a)).find(v => v != null);
+    let value = direct;
+    if (value == null) {
+      const rest = scope.slice(m.index + tag.length);
+      const close = rest.search(new RegExp(`</${name}\\s*>`, 'i'));
+      value = stripTags(close >= 0 ? rest.slice(0, close) : '');
+    }
+    prop.split(/\s+/).forEach(p => { (props[p] = props[p] || []).push(value); });
+  }
+  return props;
+}
+
+function fromMicrodata(props) {
+  const one = (k) => props[k]?.[0];
+  return fromSchemaOrg({
+    name: one('name'),
+    image: one('image'),
+    recipeCategory: one('recipeCategory'),
+    recipeIngredient: props.recipeIngredient || props.ingredients,
+    recipeInstructions: (props.recipeInstructions || []).join('\n'),
+    prepTime: one('prepTime'),
+    totalTime: one('totalTime'),
+    cookTime: one('cookTime'),
+    recipeYield: props.recipeYield,
+    nutrition: { calories: one('calories') },
+  });
+}
+
+// ---- Open Graph --------------------------------------------------------------------------
+function metaContent(html, property) {
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    if ((attr(tag, 'property') || attr(tag, 'name')) === property) return attr(tag, 'content');
+  }
+  return null;
+}
+
+function fromOpenGraph(html) {
+  const title = metaContent(html, 'og:title') || stripTags(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+  if (!title) return null;
+  const description = metaContent(html, 'og:description') || metaContent(html, 'description') || '';
+  return fromSchemaOrg({
+    name: title,
+    image: metaContent(html, 'og:image'),
+    recipeInstructions: description,
+  });
+}
+
+// ---- Public ------------------------------------------------------------------------------
+/**
+ * Recipe draft found in `html`, as `{ recipe, source }` with source 'json-ld' | 'microdata' |
+ * 'opengraph', or null when the page has nothing usable. `pageUrl` resolves relative image URLs.
+ */
+export function extractRecipeFromHtml(html, pageUrl) {
+  const page = String(html ?? '');
+  let result = null;
+
+  const node = jsonLdBlocks(page).flatMap(findSchemaRecipes)[0];
+  if (node) result = { recipe: fromSchemaOrg(node), source: 'json-ld' };
+
+  if (!result) {
+    const props = microdataProps(page);
+    if (props && (props.name || props.recipeIngredient || props.ingredients)) {
+      result = { recipe: fromMicrodata(props), source: 'microdata' };
+    }
+  }
+
+  if (!result) {
+    const recipe = fromOpenGraph(page);
+    if (recipe) result = { recipe, source: 'opengraph' };
+  }
+
+  if (result) result.recipe.image = resolveUrl(result.recipe.image, pageUrl);
+  return result;
+}
+
+/** Fetches `url` and extracts its recipe; rejects with a user-facing message. */
+export async function fetchRecipeFromUrl(url, fetchImpl = fetch) {
+  const trimmed = String(url ?? '').trim();
+  if (!/^https?:\/\/\S+$/i.test(trimmed)) throw new Error('Enter a full web address starting with http:// or https://');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  let html;
+  try {
+    const res = await fetchImpl(trimmed, { signal: controller.signal, headers: { Accept: 'text/html' } });
+    if (!res.ok) throw new Error(`The page could not be loaded (HTTP ${res.status}).`);
+    html = await res.text();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error('The page took too long to load.');
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const result = extractRecipeFromHtml(html, trimmed);
+  if (!result || !result.recipe.title) throw new Error('No recipe was found on that page.');
+  return result;
+}